@@ -1,4 +1,5 @@
 import pkg from 'pg'
+import { DOCUMENT_SEARCH_VECTOR } from '../lib/searchQuery.js'
 const { Pool } = pkg
 
 // Create pool only if DATABASE_URL is provided
@@ -74,10 +75,459 @@ export const initDatabase = async () => {
       );
     `)
 
+    // NOT VALID so older rows with other roles do not stop startup; new and changed rows are checked
+    await pool.query(`
+      ALTER TABLE team_members DROP CONSTRAINT IF EXISTS team_members_role_check;
+      ALTER TABLE team_members ADD CONSTRAINT team_members_role_check CHECK (role IN ('admin', 'member', 'viewer')) NOT VALID;
+    `)
+
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS tasks_team_id_idx ON tasks (team_id);
+    `)
+
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS tasks_parent_id_idx ON tasks (parent_id);
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        blocked_by_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, blocked_by_id),
+        CHECK (task_id <> blocked_by_id)
+      );
+      CREATE INDEX IF NOT EXISTS task_dependencies_blocked_by_idx ON task_dependencies (blocked_by_id);
+    `)
+
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date TIMESTAMP;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[] NOT NULL DEFAULT '{}';
+      CREATE INDEX IF NOT EXISTS tasks_due_date_idx ON tasks (due_date) WHERE status <> 'done';
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_notifications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        kind VARCHAR(30) NOT NULL,
+        offset_minutes INTEGER NOT NULL DEFAULT 0,
+        due_date TIMESTAMP NOT NULL,
+        recipient_id UUID,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (task_id, kind, offset_minutes, due_date)
+      );
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_series (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+        rule JSONB NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        last_occurrence_at TIMESTAMP NOT NULL,
+        next_occurrence_at TIMESTAMP,
+        active BOOLEAN NOT NULL DEFAULT true,
+        ended_at TIMESTAMP,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS task_series_next_occurrence_idx ON task_series (next_occurrence_at) WHERE active;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES task_series(id) ON DELETE SET NULL;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence_at TIMESTAMP;
+      CREATE UNIQUE INDEX IF NOT EXISTS tasks_series_occurrence_idx ON tasks (series_id, occurrence_at);
+    `)
+
+    // Tasks created before ranks existed are ordered by creation time
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position TEXT COLLATE "C";
+      UPDATE tasks
+      SET position = lpad(to_hex((extract(epoch from created_at) * 1000)::bigint), 12, '0')
+      WHERE position IS NULL;
+      CREATE INDEX IF NOT EXISTS tasks_team_position_idx ON tasks (team_id, position);
+    `)
+
+    // Bumped on every write so clients can detect stale updates
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS team_labels (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        color VARCHAR(7) NOT NULL DEFAULT '#6b7280',
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS team_labels_name_idx ON team_labels (team_id, lower(name));
+      CREATE TABLE IF NOT EXISTS task_labels (
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        label_id UUID NOT NULL REFERENCES team_labels(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, label_id)
+      );
+      CREATE INDEX IF NOT EXISTS task_labels_label_id_idx ON task_labels (label_id);
+    `)
+
+    // Custom field values live on the task, keyed by the field's key
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS team_custom_fields (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        key VARCHAR(64) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'number', 'date', 'select')),
+        options JSONB NOT NULL DEFAULT '[]',
+        required BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (team_id, key)
+      );
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+      CREATE INDEX IF NOT EXISTS tasks_custom_fields_idx ON tasks USING GIN (custom_fields);
+    `)
+
+    // A running timer has no ended_at; each user may only have one
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_time_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        started_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        duration_seconds INTEGER GENERATED ALWAYS AS (extract(epoch from ended_at - started_at)::integer) STORED,
+        note TEXT,
+        source VARCHAR(10) NOT NULL DEFAULT 'timer' CHECK (source IN ('timer', 'manual')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ended_at IS NULL OR ended_at >= started_at)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS task_time_entries_running_idx ON task_time_entries (user_id) WHERE ended_at IS NULL;
+      CREATE INDEX IF NOT EXISTS task_time_entries_task_id_idx ON task_time_entries (task_id, started_at);
+      CREATE INDEX IF NOT EXISTS task_time_entries_user_id_idx ON task_time_entries (user_id, started_at);
+    `)
+
+    // A team runs at most one sprint at a time
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sprints (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        goal TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'active', 'closed')),
+        closed_at TIMESTAMP,
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date)
+      );
+      CREATE INDEX IF NOT EXISTS sprints_team_id_idx ON sprints (team_id, start_date);
+      CREATE UNIQUE INDEX IF NOT EXISTS sprints_one_active_idx ON sprints (team_id) WHERE status = 'active';
+      CREATE TABLE IF NOT EXISTS milestones (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        start_date DATE,
+        due_date DATE,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (due_date IS NULL OR start_date IS NULL OR due_date >= start_date)
+      );
+      CREATE INDEX IF NOT EXISTS milestones_team_id_idx ON milestones (team_id, due_date);
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS sprint_id UUID REFERENCES sprints(id) ON DELETE SET NULL;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS story_points INTEGER CHECK (story_points >= 0);
+      CREATE INDEX IF NOT EXISTS tasks_sprint_id_idx ON tasks (sprint_id);
+      CREATE INDEX IF NOT EXISTS tasks_milestone_id_idx ON tasks (milestone_id);
+    `)
+
+    // dedupe_key stops time-based rules from firing twice for the same situation
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS team_automations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        trigger JSONB NOT NULL,
+        conditions JSONB NOT NULL DEFAULT '[]',
+        actions JSONB NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS team_automations_team_id_idx ON team_automations (team_id) WHERE enabled;
+      CREATE TABLE IF NOT EXISTS automation_runs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        automation_id UUID NOT NULL REFERENCES team_automations(id) ON DELETE CASCADE,
+        task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+        event VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'skipped', 'failed')),
+        changes JSONB NOT NULL DEFAULT '[]',
+        error TEXT,
+        dedupe_key TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS automation_runs_automation_id_idx ON automation_runs (automation_id, created_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS automation_runs_dedupe_idx ON automation_runs (automation_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
+    `)
+
+    // Delta sync: every write stamps the task with its transaction id, and deletes leave a
+    // tombstone. Triggers catch writes from every code path, including cascaded subtask deletes.
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS created_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS change_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+      CREATE INDEX IF NOT EXISTS tasks_change_xid_idx ON tasks (change_xid, id);
+      CREATE TABLE IF NOT EXISTS task_tombstones (
+        task_id UUID PRIMARY KEY,
+        team_id UUID,
+        created_by UUID,
+        assigned_to UUID,
+        change_xid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+        deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS task_tombstones_change_xid_idx ON task_tombstones (change_xid, task_id);
+      CREATE OR REPLACE FUNCTION stamp_task_change() RETURNS trigger AS $$
+      BEGIN
+        NEW.change_xid := pg_current_xact_id();
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql;
+      CREATE OR REPLACE FUNCTION record_task_tombstone() RETURNS trigger AS $$
+      BEGIN
+        INSERT INTO task_tombstones (task_id, team_id, created_by, assigned_to)
+        VALUES (OLD.id, OLD.team_id, OLD.created_by, OLD.assigned_to)
+        ON CONFLICT (task_id) DO NOTHING;
+        RETURN OLD;
+      END
+      $$ LANGUAGE plpgsql;
+      CREATE OR REPLACE TRIGGER tasks_stamp_change BEFORE UPDATE ON tasks
+        FOR EACH ROW EXECUTE FUNCTION stamp_task_change();
+      CREATE OR REPLACE TRIGGER tasks_record_tombstone AFTER DELETE ON tasks
+        FOR EACH ROW EXECUTE FUNCTION record_task_tombstone();
+    `)
+
+    // One row per saved state of a document; quick successive saves by one author share a row
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        number INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        content TEXT,
+        author_id UUID NOT NULL,
+        restored_from UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, number)
+      );
+    `)
+
+    // Yjs update log of each live-edited document, periodically compacted to a single row
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_updates (
+        id BIGSERIAL PRIMARY KEY,
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        update BYTEA NOT NULL,
+        user_id UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_updates_document_id_idx ON document_updates (document_id, id);
+    `)
+
+    // Grants on a document go to a user or a whole team; the document's creator is always an owner
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_permissions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        user_id UUID,
+        team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'commenter', 'viewer')),
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((user_id IS NULL) <> (team_id IS NULL))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS document_permissions_user_idx ON document_permissions (document_id, user_id) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS document_permissions_team_idx ON document_permissions (document_id, team_id) WHERE team_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS document_permissions_user_id_idx ON document_permissions (user_id);
+      CREATE TABLE IF NOT EXISTS document_share_links (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        token VARCHAR(64) NOT NULL UNIQUE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('editor', 'commenter', 'viewer')),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_share_links_document_id_idx ON document_share_links (document_id);
+    `)
+
+    // Folders nest documents; grants on a folder apply to everything inside it, and a folder's
+    // creator owns its contents. Deleting a folder deletes its documents explicitly.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(255) NOT NULL,
+        parent_id UUID REFERENCES document_folders(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_folders_parent_id_idx ON document_folders (parent_id);
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES document_folders(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS documents_folder_id_idx ON documents (folder_id);
+      ALTER TABLE document_permissions ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES document_folders(id) ON DELETE CASCADE;
+      ALTER TABLE document_permissions ALTER COLUMN document_id DROP NOT NULL;
+      ALTER TABLE document_permissions DROP CONSTRAINT IF EXISTS document_permissions_target_check;
+      ALTER TABLE document_permissions ADD CONSTRAINT document_permissions_target_check CHECK ((document_id IS NULL) <> (folder_id IS NULL));
+      CREATE UNIQUE INDEX IF NOT EXISTS document_permissions_folder_user_idx ON document_permissions (folder_id, user_id) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS document_permissions_folder_team_idx ON document_permissions (folder_id, team_id) WHERE team_id IS NOT NULL;
+    `)
+
+    // Team templates new documents can start from; {{placeholders}} are filled in on use
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_templates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        title VARCHAR(255) NOT NULL,
+        content TEXT NOT NULL DEFAULT '',
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_templates_team_id_idx ON document_templates (team_id);
+    `)
+
+    // Comment threads anchored to a range of a document's shared text by Yjs relative positions.
+    // Suggestions carry replacement text for their range and are accepted or rejected.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_comment_threads (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL DEFAULT 'comment' CHECK (kind IN ('comment', 'suggestion')),
+        anchor_start BYTEA,
+        anchor_end BYTEA,
+        quote TEXT,
+        suggestion TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'accepted', 'rejected')),
+        created_by UUID NOT NULL,
+        resolved_by UUID,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_comment_threads_document_idx ON document_comment_threads (document_id, created_at);
+      CREATE TABLE IF NOT EXISTS document_comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        thread_id UUID NOT NULL REFERENCES document_comment_threads(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        content TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS document_comments_thread_idx ON document_comments (thread_id, created_at);
+    `)
+
+    // Full-text index over document titles and content, kept current by Postgres on every write
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS documents_search_idx ON documents USING GIN (${DOCUMENT_SEARCH_VECTOR});
+    `)
+
+    // Deleting moves tasks, documents and folders to the trash: the rows stay, hidden everywhere, until
+    // restored or purged. Subtasks trashed with their parent share its deleted_at, and so do the
+    // subfolders and documents trashed with a folder, which keep their folder and its grants.
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by UUID;
+      CREATE INDEX IF NOT EXISTS tasks_deleted_at_idx ON tasks (deleted_at) WHERE deleted_at IS NOT NULL;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by UUID;
+      CREATE INDEX IF NOT EXISTS documents_deleted_at_idx ON documents (deleted_at) WHERE deleted_at IS NOT NULL;
+      ALTER TABLE document_folders ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE document_folders ADD COLUMN IF NOT EXISTS deleted_by UUID;
+      CREATE INDEX IF NOT EXISTS document_folders_deleted_at_idx ON document_folders (deleted_at) WHERE deleted_at IS NOT NULL;
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        content TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS task_comments_task_id_idx ON task_comments (task_id, created_at);
+    `)
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_activity (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        actor_id UUID NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        field VARCHAR(50),
+        old_value TEXT,
+        new_value TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS task_activity_task_id_idx ON task_activity (task_id, created_at);
+    `)
+
+    // Mentions of a task, document or meeting found in another item. Meetings live in Supabase,
+    // so items are identified by text: task and document ids, and the meeting id people join with.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_references (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('task', 'document', 'meeting')),
+        source_id TEXT NOT NULL,
+        target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('task', 'document', 'meeting')),
+        target_id TEXT NOT NULL,
+        context TEXT,
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (source_type, source_id, target_type, target_id)
+      );
+      CREATE INDEX IF NOT EXISTS item_references_target_idx ON item_references (target_type, target_id);
+    `)
+
     console.log('✅ Database tables initialized successfully')
   } catch (error) {
     console.error('❌ Database initialization error:', error)
   }
 }
 
+// Run a callback inside a single transaction on a dedicated client
+export const withTransaction = async (callback) => {
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+    const result = await callback(client)
+    await client.query('COMMIT')
+    return result
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
 export default pool
@@ -0,0 +1,188 @@
+// "When X then Y" rules for tasks: validation and matching
+
+import { TASK_PRIORITIES, TASK_STATUSES } from './taskTransfer.js'
+import { isUuid } from './uuid.js'
+
+export const TRIGGER_TYPES = ['task_created', 'field_changed', 'overdue']
+export const ACTION_TYPES = ['set_field', 'assign', 'escalate_priority', 'add_label', 'notify']
+
+// Task fields rules can watch and test
+const RULE_FIELDS = ['status', 'priority', 'assigned_to', 'sprint_id', 'milestone_id', 'story_points', 'due_date']
+const CONDITION_OPERATORS = ['eq', 'neq', 'in', 'not_in', 'empty', 'not_empty']
+
+// Fields set_field may change, with the values each accepts
+const SETTABLE_FIELDS = { status: TASK_STATUSES, priority: TASK_PRIORITIES }
+
+// People a rule can refer to instead of a fixed user id
+export const RECIPIENTS = ['creator', 'assignee', 'team_lead']
+
+const MAX_ACTIONS = 10
+const MAX_CONDITIONS = 10
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const toText = (value) => {
+  if (value === null || value === undefined) return null
+  return value instanceof Date ? value.toISOString() : String(value)
+}
+
+const parseTrigger = (trigger) => {
+  if (!isPlainObject(trigger) || !TRIGGER_TYPES.includes(trigger.type)) {
+    return { error: `Trigger type must be one of: ${TRIGGER_TYPES.join(', ')}` }
+  }
+
+  if (trigger.type === 'field_changed') {
+    if (!RULE_FIELDS.includes(trigger.field)) {
+      return { error: `Trigger field must be one of: ${RULE_FIELDS.join(', ')}` }
+    }
+    return { trigger: { type: trigger.type, field: trigger.field, from: trigger.from, to: trigger.to } }
+  }
+
+  if (trigger.type === 'overdue') {
+    const days = trigger.days ?? 0
+
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return { error: 'Overdue trigger days must be an integer between 0 and 365' }
+    }
+    return { trigger: { type: trigger.type, days } }
+  }
+
+  return { trigger: { type: trigger.type } }
+}
+
+const parseCondition = (condition) => {
+  if (!isPlainObject(condition) || !RULE_FIELDS.includes(condition.field)) {
+    return { error: `Condition field must be one of: ${RULE_FIELDS.join(', ')}` }
+  }
+
+  const op = condition.op || 'eq'
+
+  if (!CONDITION_OPERATORS.includes(op)) {
+    return { error: `Condition op must be one of: ${CONDITION_OPERATORS.join(', ')}` }
+  }
+
+  if (['in', 'not_in'].includes(op) && !Array.isArray(condition.value)) {
+    return { error: `Condition ${op} needs an array value` }
+  }
+
+  return { condition: { field: condition.field, op, value: condition.value } }
+}
+
+const isRecipient = (value) => RECIPIENTS.includes(value) || isUuid(value)
+
+const parseAction = (action) => {
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    return { error: `Action type must be one of: ${ACTION_TYPES.join(', ')}` }
+  }
+
+  switch (action.type) {
+    case 'set_field':
+      if (!SETTABLE_FIELDS[action.field]) {
+        return { error: `set_field can change: ${Object.keys(SETTABLE_FIELDS).join(', ')}` }
+      }
+      if (!SETTABLE_FIELDS[action.field].includes(action.value)) {
+        return { error: `${action.field} must be one of: ${SETTABLE_FIELDS[action.field].join(', ')}` }
+      }
+      return { action: { type: action.type, field: action.field, value: action.value } }
+    case 'assign':
+      if (!isRecipient(action.to) || action.to === 'assignee') {
+        return { error: 'assign needs to: creator, team_lead or a user id' }
+      }
+      return { action: { type: action.type, to: action.to } }
+    case 'add_label':
+      if (!isUuid(action.label_id)) {
+        return { error: 'add_label needs a label_id' }
+      }
+      return { action: { type: action.type, label_id: action.label_id } }
+    case 'notify':
+      if (!isRecipient(action.to)) {
+        return { error: `notify needs to: ${RECIPIENTS.join(', ')} or a user id` }
+      }
+      if (action.message !== undefined && typeof action.message !== 'string') {
+        return { error: 'notify message must be text' }
+      }
+      return { action: { type: action.type, to: action.to, message: action.message || null } }
+    default:
+      return { action: { type: action.type } }
+  }
+}
+
+// Validate a rule body. On update, missing parts keep their stored values.
+export const parseAutomation = (input, existing = null) => {
+  const name = input.name ?? existing?.name
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Automation name is required' }
+  }
+
+  const { trigger, error: triggerError } = parseTrigger(input.trigger ?? existing?.trigger)
+  if (triggerError) return { error: triggerError }
+
+  const rawConditions = input.conditions ?? existing?.conditions ?? []
+  const rawActions = input.actions ?? existing?.actions
+
+  if (!Array.isArray(rawConditions) || rawConditions.length > MAX_CONDITIONS) {
+    return { error: `Conditions must be an array of at most ${MAX_CONDITIONS} entries` }
+  }
+
+  if (!Array.isArray(rawActions) || rawActions.length === 0 || rawActions.length > MAX_ACTIONS) {
+    return { error: `Actions must be an array of 1 to ${MAX_ACTIONS} entries` }
+  }
+
+  const conditions = []
+  for (const raw of rawConditions) {
+    const { condition, error } = parseCondition(raw)
+    if (error) return { error }
+    conditions.push(condition)
+  }
+
+  const actions = []
+  for (const raw of rawActions) {
+    const { action, error } = parseAction(raw)
+    if (error) return { error }
+    actions.push(action)
+  }
+
+  const enabled = input.enabled ?? existing?.enabled ?? true
+
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' }
+  }
+
+  return { rule: { name: name.trim(), trigger, conditions, actions, enabled } }
+}
+
+// Does a task event fire the rule's trigger? Overdue triggers are matched by the scheduler.
+export const matchesTrigger = (trigger, event) => {
+  if (trigger.type === 'task_created') return event.type === 'task_created'
+  if (trigger.type !== 'field_changed' || event.type !== 'task_updated') return false
+
+  const before = toText(event.before[trigger.field])
+  const after = toText(event.task[trigger.field])
+
+  if (before === after) return false
+  if (trigger.from !== undefined && toText(trigger.from) !== before) return false
+  if (trigger.to !== undefined && toText(trigger.to) !== after) return false
+
+  return true
+}
+
+export const matchesConditions = (conditions, task) => conditions.every(({ field, op, value }) => {
+  const actual = toText(task[field])
+
+  switch (op) {
+    case 'eq': return actual === toText(value)
+    case 'neq': return actual !== toText(value)
+    case 'in': return value.map(toText).includes(actual)
+    case 'not_in': return !value.map(toText).includes(actual)
+    case 'empty': return actual === null
+    case 'not_empty': return actual !== null
+    default: return false
+  }
+})
+
+// Priority one step above the current one, or null when it is already the highest
+export const escalatedPriority = (priority) => {
+  const index = TASK_PRIORITIES.indexOf(priority)
+  return index >= 0 && index < TASK_PRIORITIES.length - 1 ? TASK_PRIORITIES[index + 1] : null
+}
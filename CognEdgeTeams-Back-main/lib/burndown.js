@@ -0,0 +1,91 @@
+import { formatLocalDay } from './dates.js'
+
+// Sprint burndown replayed from task history.
+// A field's value at time T is the old_value of its first change at or after T,
+// or the current value when it has not changed since.
+
+const FIELD_PARSERS = {
+  status: value => value,
+  sprint_id: value => value,
+  story_points: value => (value === null ? null : Number(value))
+}
+
+const valueAt = (task, changes, field, time) => {
+  const next = changes.find(change => change.field === field && new Date(change.created_at).getTime() >= time)
+  return next ? FIELD_PARSERS[field](next.old_value) : task[field]
+}
+
+export const buildBurndown = (sprint, tasks, history, now = new Date()) => {
+  // Sprint dates are local midnights, so days are stepped in local time
+  const start = new Date(sprint.start_date)
+  const end = new Date(sprint.end_date)
+  const dayCount = Math.round((end - start) / 86400000) + 1
+  const sprintId = String(sprint.id)
+
+  // A closed sprint is frozen at closing time, before carried-over tasks left it
+  const cutoff = sprint.closed_at
+    ? Math.min(new Date(sprint.closed_at).getTime(), now.getTime())
+    : now.getTime()
+
+  const changesByTask = new Map(tasks.map(task => [task.id, []]))
+  history.forEach(change => changesByTask.get(change.task_id)?.push(change))
+
+  // Totals at the end of each day of the sprint; days past the cutoff have no data
+  const days = []
+
+  for (let index = 0; index < dayCount; index++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + index)
+    const endOfDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() + index + 1).getTime()
+    const at = Math.min(endOfDay, cutoff)
+
+    if (day.getTime() > cutoff) {
+      days.push({ date: formatLocalDay(day), scope_points: null, completed_points: null, remaining_points: null, remaining_tasks: null })
+      continue
+    }
+
+    let scope = 0
+    let completed = 0
+    let remainingTasks = 0
+
+    for (const task of tasks) {
+      if (new Date(task.created_at).getTime() > at) continue
+
+      const changes = changesByTask.get(task.id)
+      if (String(valueAt(task, changes, 'sprint_id', at)) !== sprintId) continue
+
+      const points = valueAt(task, changes, 'story_points', at) || 0
+      scope += points
+
+      if (valueAt(task, changes, 'status', at) === 'done') {
+        completed += points
+      } else {
+        remainingTasks++
+      }
+    }
+
+    days.push({
+      date: formatLocalDay(day),
+      scope_points: scope,
+      completed_points: completed,
+      remaining_points: scope - completed,
+      remaining_tasks: remainingTasks
+    })
+  }
+
+  // The ideal line runs from the points committed on day one down to zero on the last day
+  const committed = days[0]?.scope_points ?? 0
+
+  days.forEach((day, index) => {
+    day.ideal_points = dayCount > 1
+      ? Math.round(committed * (1 - index / (dayCount - 1)) * 100) / 100
+      : 0
+  })
+
+  return {
+    sprint_id: sprint.id,
+    start_date: formatLocalDay(start),
+    end_date: formatLocalDay(end),
+    committed_points: committed,
+    days
+  }
+}
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Split CSV text into rows of cells, honouring quoted fields with embedded
+// commas, quotes and line breaks. Returns { rows } or { error }.
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+      line++
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    return { error: `Unterminated quoted field starting before line ${line}` }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Blank lines carry no data
+  return { rows: rows.filter(cells => cells.length > 1 || cells[0] !== '') }
+}
+
+// Spreadsheets run text starting with one of these as a formula, so written text that does
+// gets a leading ' to keep it text
+const FORMULA_START = /^[=+\-@\t\r]/
+const GUARDED_FORMULA = /^'[=+\-@\t\r]/
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return ''
+  const raw = value instanceof Date ? value.toISOString() : String(value)
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// A cell read back without the ' that formatCsv put before formula-like text
+export const unguardCell = (text) => (typeof text === 'string' && GUARDED_FORMULA.test(text) ? text.slice(1) : text)
+
+// Render rows of cells as CSV text with CRLF line endings
+export const formatCsv = (rows) => rows.map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n'
@@ -0,0 +1,127 @@
+// Team-defined custom fields: definition checks and value validation
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'select']
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/
+const MAX_TEXT_LENGTH = 10000
+const MAX_OPTIONS = 100
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Validate a field definition from a request body. Key and type are fixed once
+// the field exists, since stored task values depend on them.
+export const parseFieldDefinition = (input, existing = null) => {
+  const field = {
+    key: existing ? existing.key : input.key,
+    name: input.name ?? existing?.name,
+    type: existing ? existing.type : input.type,
+    options: input.options ?? existing?.options ?? [],
+    required: input.required ?? existing?.required ?? false
+  }
+
+  if (existing && input.key !== undefined && input.key !== existing.key) {
+    return { error: 'Field key cannot be changed' }
+  }
+
+  if (existing && input.type !== undefined && input.type !== existing.type) {
+    return { error: 'Field type cannot be changed' }
+  }
+
+  if (typeof field.key !== 'string' || !KEY_PATTERN.test(field.key)) {
+    return { error: 'Field key must start with a letter and use only lowercase letters, digits and underscores' }
+  }
+
+  if (typeof field.name !== 'string' || !field.name.trim()) {
+    return { error: 'Field name is required' }
+  }
+
+  if (!FIELD_TYPES.includes(field.type)) {
+    return { error: `Field type must be one of: ${FIELD_TYPES.join(', ')}` }
+  }
+
+  if (typeof field.required !== 'boolean') {
+    return { error: 'required must be true or false' }
+  }
+
+  if (field.type === 'select') {
+    const options = Array.isArray(field.options) ? field.options.map(option => String(option).trim()) : []
+
+    if (options.length === 0 || options.length > MAX_OPTIONS || options.some(option => !option)) {
+      return { error: `Select fields need between 1 and ${MAX_OPTIONS} non-empty options` }
+    }
+
+    if (new Set(options).size !== options.length) {
+      return { error: 'Select options must be unique' }
+    }
+    field.options = options
+  } else {
+    field.options = []
+  }
+
+  field.name = field.name.trim()
+  return { field }
+}
+
+// Normalize one value for its field, or return an error message
+const normalizeValue = (definition, value) => {
+  switch (definition.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: 'must be text' }
+      if (value.length > MAX_TEXT_LENGTH) return { error: `must be at most ${MAX_TEXT_LENGTH} characters` }
+      return { value }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' }
+      return { value: number }
+    }
+    case 'date': {
+      const date = typeof value === 'string' ? new Date(value) : null
+      if (!date || Number.isNaN(date.getTime())) return { error: 'must be a date' }
+      return { value: date.toISOString() }
+    }
+    case 'select':
+      if (!definition.options.includes(value)) return { error: `must be one of: ${definition.options.join(', ')}` }
+      return { value }
+    default:
+      return { error: 'has an unknown type' }
+  }
+}
+
+// Merge submitted values into the task's current ones. A null value clears a
+// field. Returns { values } ready to store or { error }.
+export const validateCustomFields = (definitions, input = {}, current = {}) => {
+  if (!isPlainObject(input)) {
+    return { error: 'custom_fields must be an object keyed by field key' }
+  }
+
+  const byKey = Object.fromEntries(definitions.map(definition => [definition.key, definition]))
+  const values = { ...current }
+
+  for (const [key, value] of Object.entries(input)) {
+    const definition = byKey[key]
+
+    if (!definition) {
+      return { error: `Unknown custom field: ${key}` }
+    }
+
+    if (value === null) {
+      delete values[key]
+      continue
+    }
+
+    const normalized = normalizeValue(definition, value)
+
+    if (normalized.error) {
+      return { error: `Custom field "${definition.name}" ${normalized.error}` }
+    }
+    values[key] = normalized.value
+  }
+
+  const missing = definitions.find(definition => definition.required && values[definition.key] === undefined)
+
+  if (missing) {
+    return { error: `Custom field "${missing.name}" is required` }
+  }
+
+  return { values }
+}
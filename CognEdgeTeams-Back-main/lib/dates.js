@@ -0,0 +1,26 @@
+// Calendar dates exchanged as YYYY-MM-DD strings
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export const DAY_MS = 24 * 60 * 60 * 1000
+
+export const formatDay = (date) => date.toISOString().slice(0, 10)
+
+// A YYYY-MM-DD string naming a real day. Dates like 2026-02-31 parse by rolling over into
+// March, so the value must also format back unchanged.
+export const isDay = (value) => {
+  if (typeof value !== 'string' || !DAY_PATTERN.test(value)) return false
+
+  const date = new Date(value)
+  return !Number.isNaN(date.getTime()) && formatDay(date) === value
+}
+
+// DATE columns come back from pg as local midnight, so read them in local time
+export const formatLocalDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-')
+
+// Number of calendar days from one date to another, counting both ends
+export const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1
@@ -0,0 +1,119 @@
+// Text diffs between document versions (Myers' algorithm over lines or words)
+
+// Past this many edits the diff is reported as a full replacement instead of a minimal one
+const MAX_EDIT_DISTANCE = 2000
+
+export const DIFF_GRANULARITIES = ['line', 'word']
+
+// Split text into tokens that join back into the original text
+const tokenize = (text, granularity) => {
+  if (!text) return []
+  return granularity === 'word' ? text.split(/(\s+)/).filter(Boolean) : text.split(/(?<=\n)/)
+}
+
+// Minimal edit script between two token arrays as [type, token] pairs, or null past the edit limit.
+// Each round stores only the diagonals it could reach, keeping memory at O(D²).
+const editScript = (a, b) => {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+
+      v[offset + k] = x
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace)
+      }
+    }
+  }
+
+  return null
+}
+
+// Walk the stored rounds back from the end to recover the edits
+const backtrack = (a, b, trace) => {
+  const script = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d]
+    const at = (k) => snapshot[k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = d === 0 ? 0 : at(prevK)
+    const prevY = d === 0 ? 0 : prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      script.push(['equal', a[--x]])
+      y--
+    }
+
+    if (d > 0) {
+      script.push(x === prevX ? ['insert', b[--y]] : ['delete', a[--x]])
+    }
+  }
+
+  return script.reverse()
+}
+
+// Merge neighbouring tokens of the same type into { type, value } chunks
+const toChunks = (script) => script.reduce((chunks, [type, token]) => {
+  const last = chunks[chunks.length - 1]
+
+  if (last?.type === type) {
+    last.value += token
+  } else {
+    chunks.push({ type, value: token })
+  }
+
+  return chunks
+}, [])
+
+// Diff two texts into equal / insert / delete chunks plus how many tokens were added and removed
+export const diffText = (before, after, granularity = 'line') => {
+  const a = tokenize(before, granularity)
+  const b = tokenize(after, granularity)
+
+  // Edits are usually local, so only run the algorithm on the part that differs
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+
+  const middleA = a.slice(start, a.length - end)
+  const middleB = b.slice(start, b.length - end)
+  const middle = editScript(middleA, middleB) || [
+    ...middleA.map(token => ['delete', token]),
+    ...middleB.map(token => ['insert', token])
+  ]
+
+  const script = [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(a.length - end).map(token => ['equal', token])
+  ]
+
+  return {
+    chunks: toChunks(script),
+    added: script.filter(([type]) => type === 'insert').length,
+    removed: script.filter(([type]) => type === 'delete').length
+  }
+}
@@ -0,0 +1,240 @@
+// Converting documents to Markdown, standalone HTML and plain text for export
+
+import { escapeHtml, groupBlocks, isBlock, readDocumentHtml, renderHtml, textContent } from './html.js'
+
+export const EXPORT_FORMATS = {
+  md: { type: 'text/markdown; charset=utf-8' },
+  html: { type: 'text/html; charset=utf-8' },
+  txt: { type: 'text/plain; charset=utf-8' }
+}
+
+const TITLE_MAX_LENGTH = 100
+
+// File or folder name for a title: characters file systems reject are removed
+export const safeFileName = (title) => (title || '')
+  .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .slice(0, TITLE_MAX_LENGTH)
+  .replace(/^[\s.]+|[\s.]+$/g, '') || 'Untitled'
+
+export const exportFileName = (title, format) => `${safeFileName(title)}.${format}`
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 }
+
+const indent = (text, prefix, first = prefix) => text
+  .split('\n')
+  .map((line, index) => (line ? (index === 0 ? first : prefix) + line : line))
+  .join('\n')
+
+// Inline children of a list item; nested lists are rendered after them
+const itemParts = (item) => {
+  const inline = []
+  const lists = []
+
+  item.children.forEach(child => {
+    if (child.tag === 'ul' || child.tag === 'ol') {
+      lists.push(child)
+    } else if (isBlock(child)) {
+      if (inline.length > 0) inline.push({ tag: 'br', attrs: {}, children: [] })
+      inline.push(...child.children)
+    } else {
+      inline.push(child)
+    }
+  })
+
+  return { inline, lists }
+}
+
+// Markdown
+
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<>~|]/g, '\\$&')
+
+// Characters that would start a heading, quote, list or rule at the start of a line
+const escapeLineStarts = (text) => text
+  .split('\n')
+  .map(line => line.replace(/^([#>+=-])/, '\\$1').replace(/^(\d+)([.)])/, '$1\\$2'))
+  .join('\n')
+
+// Markers cannot sit next to whitespace, so it moves outside them
+const wrapMarkdown = (inner, marker) => {
+  const [, before, body, after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  return body ? `${before}${marker}${body}${marker}${after}` : inner
+}
+
+const codeSpan = (code) => {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length))
+  const fence = '`'.repeat(longest + 1)
+  const pad = /^`|`$/.test(code) ? ' ' : ''
+  return `${fence}${pad}${code}${pad}${fence}`
+}
+
+const markdownUrl = (url) => url.replace(/[ ()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+
+const inlineMarkdown = (nodes) => nodes.map(node => {
+  if (node.text !== undefined) return escapeMarkdown(node.text)
+
+  const inner = inlineMarkdown(node.children)
+
+  switch (node.tag) {
+    case 'br':
+      return '\\\n'
+    case 'strong':
+      return wrapMarkdown(inner, '**')
+    case 'em':
+      return wrapMarkdown(inner, '*')
+    case 's':
+      return wrapMarkdown(inner, '~~')
+    case 'code':
+      return textContent(node) ? codeSpan(textContent(node)) : ''
+    case 'a':
+      return `[${inner.trim() || escapeMarkdown(node.attrs.href)}](${markdownUrl(node.attrs.href)})`
+    case 'img':
+      return `![${escapeMarkdown(node.attrs.alt)}](${markdownUrl(node.attrs.src)})`
+    default:
+      return inner
+  }
+}).join('')
+
+// One paragraph's worth of inline Markdown, with line breaks kept and blank edges removed
+const lineMarkdown = (nodes) => escapeLineStarts(
+  inlineMarkdown(nodes)
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/^(\\\n)+|(\\\n)+$/g, '')
+)
+
+const listMarkdown = (list) => list.children.map((item, index) => {
+  const { inline, lists } = itemParts(item)
+  const bullet = list.tag === 'ol' ? `${index + 1}.` : '-'
+  const marker = item.attrs.checked === undefined ? bullet : `${bullet} [${item.attrs.checked ? 'x' : ' '}]`
+  const pad = ' '.repeat(bullet.length + 1)
+  const text = indent(lineMarkdown(inline), pad, `${marker} `) || marker
+  const nested = lists.map(child => indent(listMarkdown(child), pad))
+
+  return [text, ...nested].join('\n')
+}).join('\n')
+
+const blockMarkdown = (node) => {
+  switch (node.tag) {
+    case 'p':
+      return lineMarkdown(node.children)
+    case 'blockquote':
+      return indent(blocksMarkdown(groupBlocks(node.children)), '> ')
+    case 'pre': {
+      const code = textContent(node).replace(/\n$/, '')
+      const longest = Math.max(0, ...(code.match(/^`{3,}/gm) || []).map(run => run.length))
+      const fence = '`'.repeat(Math.max(3, longest + 1))
+      return `${fence}${node.attrs.language || ''}\n${code}\n${fence}`
+    }
+    case 'ul':
+    case 'ol':
+      return listMarkdown(node)
+    case 'hr':
+      return '---'
+    default: {
+      const text = lineMarkdown(node.children).replace(/\\\n/g, ' ')
+      return text && `${'#'.repeat(HEADING_LEVELS[node.tag])} ${text}`
+    }
+  }
+}
+
+// Blocks are separated by a blank line; the editor's empty paragraphs are left out
+const blocksMarkdown = (blocks) => blocks.map(blockMarkdown).filter(Boolean).join('\n\n')
+
+export const toMarkdown = (content) => {
+  const markdown = blocksMarkdown(readDocumentHtml(content))
+  return markdown ? `${markdown}\n` : ''
+}
+
+// Plain text
+
+const inlineText = (nodes) => nodes.map(node => {
+  if (node.text !== undefined) return node.text
+  if (node.tag === 'br') return '\n'
+  if (node.tag === 'img') return node.attrs.alt ? `[${node.attrs.alt}]` : ''
+
+  const inner = inlineText(node.children)
+
+  if (node.tag === 'a') {
+    const href = node.attrs.href.replace(/^mailto:/i, '')
+    return inner.trim() && inner.trim() !== href ? `${inner} (${href})` : href
+  }
+
+  return inner
+}).join('')
+
+// The editor ends empty paragraphs with a <br>, which is not a line of its own
+const lineText = (nodes) => inlineText(nodes).split('\n').map(line => line.trim()).join('\n').replace(/\n+$/, '')
+
+const listText = (list) => list.children.map((item, index) => {
+  const { inline, lists } = itemParts(item)
+  const bullet = item.attrs.checked !== undefined
+    ? `[${item.attrs.checked ? 'x' : ' '}]`
+    : list.tag === 'ol' ? `${index + 1}.` : '-'
+  const pad = ' '.repeat(bullet.length + 1)
+
+  return [indent(lineText(inline), pad, `${bullet} `) || bullet, ...lists.map(child => indent(listText(child), pad))].join('\n')
+}).join('\n')
+
+const blockText = (node) => {
+  switch (node.tag) {
+    case 'blockquote':
+      return indent(blocksText(groupBlocks(node.children)), '> ')
+    case 'pre':
+      return textContent(node).replace(/\n$/, '')
+    case 'ul':
+    case 'ol':
+      return listText(node)
+    case 'hr':
+      return '----------'
+    default:
+      return lineText(node.children)
+  }
+}
+
+// The editor writes one paragraph per line, so blocks are joined line by line and its
+// empty paragraphs become blank lines
+const blocksText = (blocks) => blocks.map(blockText).join('\n')
+
+export const toPlainText = (content) => {
+  const text = blocksText(readDocumentHtml(content)).replace(/\s+$/, '')
+  return text ? `${text}\n` : ''
+}
+
+// Standalone HTML
+
+const STYLES = `body { max-width: 48rem; margin: 2rem auto; padding: 0 1rem; font-family: system-ui, sans-serif; line-height: 1.5; }
+pre { background: #f6f8fa; padding: 1rem; overflow: auto; }
+blockquote { border-left: 4px solid #d0d7de; margin-left: 0; padding-left: 1rem; color: #57606a; }
+li > input[type="checkbox"] { margin-right: 0.25rem; }
+img { max-width: 100%; }`
+
+// A complete page of the sanitized content. The policy keeps scripts and remote
+// resources other than images out even if the file is opened from a web server.
+export const toStandaloneHtml = (title, content) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data: https: http:; style-src 'unsafe-inline'">
+<title>${escapeHtml(title || 'Untitled')}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+${renderHtml(readDocumentHtml(content))}</body>
+</html>
+`
+
+// The exported file for a document: { name, type, body }
+export const exportDocument = (document, format) => {
+  const body = format === 'md'
+    ? toMarkdown(document.content)
+    : format === 'html'
+      ? toStandaloneHtml(document.title, document.content)
+      : toPlainText(document.content)
+
+  return { name: exportFileName(document.title, format), type: EXPORT_FORMATS[format].type, body }
+}
@@ -0,0 +1,24 @@
+// Row versioning exposed over HTTP as ETag / If-Match
+
+export const versionTag = (row) => `"${row.version}"`
+
+export const setVersionHeader = (res, row) => {
+  res.set('ETag', versionTag(row))
+}
+
+// Version the client based its write on, from If-Match or a version field in the body.
+// Returns null when the client did not ask for a check and NaN when the value is unusable.
+export const expectedVersion = (req) => {
+  const header = req.get('If-Match')
+
+  if (header && header.trim() !== '*') {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim())
+    return match ? Number(match[1]) : NaN
+  }
+
+  if (req.body?.version !== undefined && req.body.version !== null) {
+    return Number.isInteger(Number(req.body.version)) ? Number(req.body.version) : NaN
+  }
+
+  return null
+}
@@ -0,0 +1,309 @@
+// Reading and cleaning the editor HTML stored in documents.content (Quill 1 and 2 markup).
+// Nodes are { text } or { tag, attrs, children }.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+// Their content is text up to the closing tag, never markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'xmp'])
+
+// Dropped with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'template', 'noscript', 'head', 'title', 'object', 'embed', 'applet',
+  'frame', 'frameset', 'textarea', 'select', 'button', 'input', 'svg', 'math', 'meta', 'link', 'base'
+])
+
+export const BLOCK_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'ul', 'ol', 'li', 'hr'])
+
+const INLINE_ALIASES = { b: 'strong', strong: 'strong', i: 'em', em: 'em', u: 'u', ins: 'u', s: 's', strike: 's', del: 's', code: 'code', sub: 'sub', sup: 'sup' }
+
+const ALIGNMENTS = ['center', 'right', 'justify']
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•',
+  middot: '·', euro: '€', times: '×', divide: '÷', deg: '°'
+}
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<\/([a-zA-Z][\w:-]*)[^>]*>?|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, name) => {
+  if (name[0] !== '#') return NAMED_ENTITIES[name.toLowerCase()] ?? match
+
+  const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+  const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff)
+  return valid ? String.fromCodePoint(code) : '�'
+})
+
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const parseAttributes = (source) => {
+  const attrs = {}
+
+  for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = name.toLowerCase()
+    if (!(key in attrs)) attrs[key] = decodeEntities(double ?? single ?? bare ?? '')
+  }
+
+  return attrs
+}
+
+// Tolerant parse into a node tree. Unmatched closing tags are ignored and unclosed
+// elements end with their parent, which is enough for editor output and pasted markup.
+export const parseHtml = (html) => {
+  const root = { tag: null, attrs: {}, children: [] }
+  const stack = [root]
+  const top = () => stack[stack.length - 1]
+  const closeTo = (index) => stack.splice(index)
+
+  const addText = (text) => {
+    if (text) top().children.push({ text: decodeEntities(text) })
+  }
+
+  const open = (tag, attrs) => {
+    // A new block ends an open paragraph, and a new item ends the open item of its list
+    if (BLOCK_TAGS.has(tag) && top().tag === 'p') stack.pop()
+    if (tag === 'li') {
+      const item = stack.findLastIndex(node => node.tag === 'li' || node.tag === 'ul' || node.tag === 'ol')
+      if (item > 0 && stack[item].tag === 'li') closeTo(item)
+    }
+
+    const node = { tag, attrs, children: [] }
+    top().children.push(node)
+    if (!VOID_TAGS.has(tag)) stack.push(node)
+  }
+
+  let index = 0
+  TOKEN_PATTERN.lastIndex = 0
+
+  for (let match = TOKEN_PATTERN.exec(html); match; match = TOKEN_PATTERN.exec(html)) {
+    addText(html.slice(index, match.index))
+    index = TOKEN_PATTERN.lastIndex
+
+    const [, closing, opening, attributes] = match
+
+    if (closing) {
+      const tag = closing.toLowerCase()
+      const at = stack.findLastIndex(node => node.tag === tag)
+      if (at > 0) closeTo(at)
+    } else if (opening) {
+      const tag = opening.toLowerCase()
+      open(tag, parseAttributes(attributes || ''))
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, index)
+        const stop = end === -1 ? html.length : end
+        top().children.push({ text: html.slice(index, stop) })
+        stack.pop()
+        index = stop
+        TOKEN_PATTERN.lastIndex = stop
+      }
+    }
+  }
+
+  addText(html.slice(index))
+  return root.children
+}
+
+export const textContent = (node) => node.text ?? node.children.map(textContent).join('')
+
+const classesOf = (node) => (node.attrs.class || '').split(/\s+/).filter(Boolean)
+
+const indentOf = (node) => {
+  const indent = classesOf(node).find(name => name.startsWith('ql-indent-'))
+  return indent ? parseInt(indent.slice('ql-indent-'.length), 10) || 0 : 0
+}
+
+const alignmentOf = (node) => {
+  const align = classesOf(node).find(name => name.startsWith('ql-align-'))?.slice('ql-align-'.length)
+  return ALIGNMENTS.includes(align) ? align : null
+}
+
+const safeUrl = (value, { image = false } = {}) => {
+  const url = (value || '').trim()
+  if (/^(https?:|mailto:)/i.test(url) && !(image && /^mailto:/i.test(url))) return url
+  if (image && /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i.test(url)) return url
+  if (!image && /^(#|\/(?!\/))/.test(url)) return url
+  return null
+}
+
+const element = (tag, attrs = {}, children = []) => ({ tag, attrs, children })
+
+// Quill 2 writes every list as <ol> with the kind on each item, and nests by indent class
+// rather than by markup. Items are regrouped into properly nested ul/ol elements.
+const cleanList = (node) => {
+  const lists = []
+  const open = []
+
+  for (const item of node.children) {
+    if (item.tag !== 'li') continue
+
+    const kind = item.attrs['data-list'] || (node.tag === 'ol' ? 'ordered' : 'bullet')
+    const tag = kind === 'ordered' ? 'ol' : 'ul'
+    const level = indentOf(item)
+    const attrs = kind === 'checked' || kind === 'unchecked' ? { checked: kind === 'checked' } : {}
+    const li = element('li', attrs, cleanChildren(item.children))
+
+    while (open.length > 0 && open[open.length - 1].level > level) open.pop()
+
+    let list = open[open.length - 1]
+
+    if (list && list.level === level && list.node.tag !== tag) {
+      open.pop()
+      list = null
+    }
+
+    if (!list || list.level < level) {
+      const parent = list || open[open.length - 1]
+      const node = element(tag)
+      const lastItem = parent?.node.children[parent.node.children.length - 1]
+
+      if (lastItem) {
+        lastItem.children.push(node)
+      } else {
+        lists.push(node)
+      }
+
+      list = { level, node }
+      open.push(list)
+    }
+
+    list.node.children.push(li)
+  }
+
+  return lists
+}
+
+const cleanNode = (node) => {
+  if (node.text !== undefined) {
+    return [{ text: node.text.replace(/[\t\n\r ]+/g, ' ') }]
+  }
+
+  const { tag, attrs } = node
+
+  if (DROPPED_TAGS.has(tag) || classesOf(node).includes('ql-ui')) return []
+
+  if (INLINE_ALIASES[tag]) return [element(INLINE_ALIASES[tag], {}, cleanChildren(node.children))]
+
+  switch (tag) {
+    case 'br':
+    case 'hr':
+      return [element(tag)]
+    case 'a': {
+      const href = safeUrl(attrs.href)
+      const children = cleanChildren(node.children)
+      return href ? [element('a', { href }, children)] : children
+    }
+    case 'img': {
+      const src = safeUrl(attrs.src, { image: true })
+      return src ? [element('img', { src, alt: attrs.alt || '' })] : []
+    }
+    // Quill video embeds become links to the video
+    case 'iframe': {
+      const src = safeUrl(attrs.src)
+      return src && /^https?:/i.test(src) ? [element('a', { href: src }, [{ text: src }])] : []
+    }
+    case 'p':
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'blockquote': {
+      const align = alignmentOf(node)
+      return [element(tag, align ? { align } : {}, cleanChildren(node.children))]
+    }
+    case 'pre': {
+      const language = attrs['data-language']
+      return [element('pre', language && language !== 'plain' ? { language } : {}, [{ text: textContent(node) }])]
+    }
+    case 'ul':
+    case 'ol':
+      return cleanList(node)
+    case 'li':
+      return [element('li', {}, cleanChildren(node.children))]
+    default:
+      break
+  }
+
+  // Quill 2 code blocks are a container of one div per line
+  if (classesOf(node).includes('ql-code-block-container')) {
+    const lines = node.children.filter(child => child.tag)
+    const language = lines[0]?.attrs['data-language']
+    return [element('pre', language && language !== 'plain' ? { language } : {}, [{ text: lines.map(textContent).join('\n') }])]
+  }
+
+  // Anything else (div, span, font, tables, ...) keeps only its content
+  return cleanChildren(node.children)
+}
+
+const cleanChildren = (children) => children.flatMap(child => cleanNode(child))
+
+export const isBlock = (node) => node.tag !== undefined && BLOCK_TAGS.has(node.tag)
+
+// Wrap runs of inline nodes between blocks into paragraphs, dropping whitespace-only runs
+export const groupBlocks = (nodes) => {
+  const blocks = []
+  let run = []
+
+  const endRun = () => {
+    if (run.some(node => node.text === undefined || node.text.trim())) blocks.push(element('p', {}, run))
+    run = []
+  }
+
+  for (const node of nodes) {
+    if (isBlock(node)) {
+      endRun()
+      blocks.push(node)
+    } else {
+      run.push(node)
+    }
+  }
+
+  endRun()
+  return blocks
+}
+
+// Whether stored content is editor markup rather than plain text
+export const isHtml = (content) => /<[a-z!/]/i.test(content || '')
+
+// Parse stored content into a clean tree of allowed elements with safe links and images.
+// Content without any markup is plain text with one paragraph per line.
+export const readDocumentHtml = (content) => {
+  const source = content || ''
+
+  if (!isHtml(source)) {
+    return source.split(/\r?\n/).map(line => element('p', {}, line ? [{ text: line }] : []))
+  }
+
+  return groupBlocks(cleanChildren(parseHtml(source)))
+}
+
+const renderAttributes = (node) => {
+  const { tag, attrs } = node
+
+  if (tag === 'a') return ` href="${escapeHtml(attrs.href)}" rel="noopener noreferrer"`
+  if (tag === 'img') return ` src="${escapeHtml(attrs.src)}" alt="${escapeHtml(attrs.alt)}"`
+  if (tag === 'pre' && attrs.language) return ` data-language="${escapeHtml(attrs.language)}"`
+  if (attrs.align) return ` style="text-align: ${attrs.align}"`
+  return ''
+}
+
+// Serialize a clean tree back to HTML. Empty paragraphs keep a <br> so blank lines survive.
+export const renderHtml = (nodes) => nodes.map(node => {
+  if (node.text !== undefined) return escapeHtml(node.text)
+  if (VOID_TAGS.has(node.tag)) return `<${node.tag}${renderAttributes(node)}>`
+
+  const checkbox = node.tag === 'li' && node.attrs.checked !== undefined
+    ? `<input type="checkbox" disabled${node.attrs.checked ? ' checked' : ''}> `
+    : ''
+  const inner = node.tag === 'p' && node.children.length === 0 ? '<br>' : renderHtml(node.children)
+  const html = `<${node.tag}${renderAttributes(node)}>${checkbox}${inner}</${node.tag}>`
+
+  return isBlock(node) ? `${html}\n` : html
+}).join('')
@@ -0,0 +1,57 @@
+// Mentions of other items inside a document, task description or chat message:
+//   #<task id> or #task-<task id>   a task
+//   #meeting-<meeting id>           a meeting, by the id people join it with
+//   [[Document title]]              a document, by title
+
+import { toPlainText } from './documentFormats.js'
+
+export const MENTION_TYPES = ['task', 'document', 'meeting']
+
+// Most mentions one text may hold; anything past this is ignored
+export const MAX_MENTIONS = 100
+
+// Characters of surrounding text kept on each side of a mention
+const CONTEXT_CHARS = 60
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}'
+
+const MENTION_PATTERN = new RegExp(
+  `#(?:task-)?(${UUID})(?![\\w-])|#meeting-([a-z0-9]{10})(?![\\w-])|\\[\\[([^\\[\\]\\n]{1,255})\\]\\]`,
+  'gi'
+)
+
+// The line around a mention, cut to a snippet
+const mentionContext = (text, index, length) => {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1
+  const lineEnd = text.indexOf('\n', index + length)
+  const start = Math.max(lineStart, index - CONTEXT_CHARS)
+  const end = Math.min(lineEnd === -1 ? text.length : lineEnd, index + length + CONTEXT_CHARS)
+
+  return `${start > lineStart ? '…' : ''}${text.slice(start, end).trim()}${end < (lineEnd === -1 ? text.length : lineEnd) ? '…' : ''}`
+}
+
+// Mentions in plain text as { type, key, context }, once per item in order of first
+// appearance. Keys are task ids, upper-case meeting ids and document titles.
+export const parseMentions = (text) => {
+  const mentions = new Map()
+
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    const [whole, taskId, meetingId, title] = match
+    const mention = taskId
+      ? { type: 'task', key: taskId.toLowerCase() }
+      : meetingId
+        ? { type: 'meeting', key: meetingId.toUpperCase() }
+        : { type: 'document', key: title.trim() }
+
+    const id = `${mention.type}:${mention.type === 'document' ? mention.key.toLowerCase() : mention.key}`
+    if (!mention.key || mentions.has(id)) continue
+
+    mentions.set(id, { ...mention, context: mentionContext(text, match.index, whole.length) })
+    if (mentions.size >= MAX_MENTIONS) break
+  }
+
+  return [...mentions.values()]
+}
+
+// Mentions in document content, which may be the editor's HTML
+export const parseDocumentMentions = (content) => parseMentions(toPlainText(content || ''))
@@ -0,0 +1,51 @@
+// Fractional ranks for ordering cards: a new rank can always be generated
+// between two neighbours, so reordering never rewrites other rows.
+// Ranks compare byte-wise, which is why tasks.position uses COLLATE "C".
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz'
+
+// The next rank after before, counting up in base 36. Digits that carry restart at 1, so
+// no rank ends in 0 and there is always room below it; once every digit is z the rank
+// doubles in length, so appends lengthen ranks only logarithmically.
+const rankAfter = (before) => {
+  for (let i = before.length - 1; i >= 0; i--) {
+    const digit = DIGITS.indexOf(before[i])
+
+    if (digit < DIGITS.length - 1) {
+      return before.slice(0, i) + DIGITS[digit + 1] + DIGITS[1].repeat(before.length - i - 1)
+    }
+  }
+
+  return before + DIGITS[1].repeat(before.length)
+}
+
+// A rank strictly between before and after; either side may be null for an open end.
+// With no after the rank steps just past before, since most ranks are appends.
+export const rankBetween = (before, after) => {
+  if (before && after && before >= after) {
+    throw new Error(`Cannot rank between "${before}" and "${after}"`)
+  }
+
+  if (before && !after) return rankAfter(before)
+
+  let rank = ''
+  let upper = after
+
+  for (let i = 0; ; i++) {
+    const low = before && i < before.length ? DIGITS.indexOf(before[i]) : 0
+    if (upper && i >= upper.length) {
+      throw new Error(`Cannot rank between "${before}" and "${after}"`)
+    }
+
+    const high = upper ? DIGITS.indexOf(upper[i]) : DIGITS.length
+
+    if (high - low > 1) {
+      return rank + DIGITS[Math.floor((low + high) / 2)]
+    }
+
+    rank += DIGITS[low]
+
+    // Once the prefix is below the upper bound, any longer suffix stays below it
+    if (high - low === 1) upper = null
+  }
+}
@@ -0,0 +1,161 @@
+// RRULE-style recurrence rules: daily, weekly on given weekdays, monthly on a day
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly']
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_ITERATIONS = 5000
+
+// Parse RRULE dates such as 20261231 or 20261231T090000Z as well as ISO strings
+const parseDate = (value) => {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value)
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +(compact[4] || 23), +(compact[5] || 59), +(compact[6] || 59)))
+    : new Date(value)
+
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Turn an RRULE string (FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10) into rule fields
+const fromRRule = (rrule) => {
+  const parts = Object.fromEntries(
+    rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).map(part => {
+      const [key, value = ''] = part.split('=')
+      return [key.trim().toUpperCase(), value.trim()]
+    })
+  )
+
+  return {
+    freq: parts.FREQ?.toLowerCase(),
+    interval: parts.INTERVAL,
+    by_weekday: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+    month_day: parts.BYMONTHDAY,
+    until: parts.UNTIL,
+    count: parts.COUNT
+  }
+}
+
+// Validate a rule given as an RRULE string or an object, relative to the series start
+export const parseRecurrence = (input, start) => {
+  if (!input || (typeof input !== 'string' && typeof input !== 'object')) {
+    return { error: 'Recurrence must be an RRULE string or a rule object' }
+  }
+
+  const raw = typeof input === 'string' ? fromRRule(input) : input
+  const freq = raw.freq?.toLowerCase()
+
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `Recurrence freq must be one of: ${FREQUENCIES.join(', ')}` }
+  }
+
+  const rule = { freq, interval: raw.interval === undefined ? 1 : Number(raw.interval) }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    return { error: 'Recurrence interval must be a positive integer' }
+  }
+
+  if (freq === 'weekly') {
+    const days = (raw.by_weekday || [WEEKDAYS[start.getUTCDay()]]).map(day => String(day).toUpperCase())
+
+    if (days.length === 0 || !days.every(day => WEEKDAYS.includes(day))) {
+      return { error: `Recurrence by_weekday must contain values from: ${WEEKDAYS.join(', ')}` }
+    }
+    rule.by_weekday = WEEKDAYS.filter(day => days.includes(day))
+  }
+
+  if (freq === 'monthly') {
+    rule.month_day = raw.month_day === undefined ? start.getUTCDate() : Number(raw.month_day)
+
+    if (!Number.isInteger(rule.month_day) || rule.month_day < 1 || rule.month_day > 31) {
+      return { error: 'Recurrence month_day must be between 1 and 31' }
+    }
+  }
+
+  if (raw.until !== undefined && raw.until !== null) {
+    const until = parseDate(String(raw.until))
+
+    if (!until) {
+      return { error: 'Recurrence until must be a valid date' }
+    }
+    rule.until = until.toISOString()
+  }
+
+  if (raw.count !== undefined && raw.count !== null) {
+    rule.count = Number(raw.count)
+
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      return { error: 'Recurrence count must be a positive integer' }
+    }
+  }
+
+  return { rule }
+}
+
+// Render a rule back to RRULE text
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`]
+
+  if (rule.by_weekday) parts.push(`BYDAY=${rule.by_weekday.join(',')}`)
+  if (rule.month_day) parts.push(`BYMONTHDAY=${rule.month_day}`)
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`)
+  if (rule.count) parts.push(`COUNT=${rule.count}`)
+
+  return parts.join(';')
+}
+
+// Every occurrence of the rule in order, beginning with the series start itself
+function * occurrences (rule, start) {
+  const until = rule.until ? new Date(rule.until).getTime() : Infinity
+  let emitted = 0
+
+  const emit = function * (date) {
+    if (date.getTime() < start.getTime()) return
+    if (date.getTime() > until) return 'stop'
+    emitted++
+    yield date
+    if (rule.count && emitted >= rule.count) return 'stop'
+  }
+
+  // The start always counts as the first occurrence, like DTSTART in RRULE
+  if ((yield * emit(new Date(start))) === 'stop') return
+
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    const candidates = []
+
+    if (rule.freq === 'daily') {
+      candidates.push(new Date(start.getTime() + (step + 1) * rule.interval * DAY_MS))
+    } else if (rule.freq === 'weekly') {
+      const weekStart = start.getTime() - start.getUTCDay() * DAY_MS + step * rule.interval * 7 * DAY_MS
+      rule.by_weekday.forEach(day => {
+        candidates.push(new Date(weekStart + WEEKDAYS.indexOf(day) * DAY_MS))
+      })
+    } else {
+      const month = start.getUTCMonth() + step * rule.interval
+      const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate()
+      candidates.push(new Date(Date.UTC(
+        start.getUTCFullYear(), month, Math.min(rule.month_day, daysInMonth),
+        start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()
+      )))
+    }
+
+    for (const date of candidates) {
+      if (date.getTime() <= start.getTime()) continue
+      if ((yield * emit(date)) === 'stop') return
+    }
+  }
+}
+
+// Occurrences strictly after a given time, up to a limit
+export const occurrencesAfter = (rule, start, after, limit = 1) => {
+  const results = []
+
+  for (const date of occurrences(rule, start)) {
+    if (date.getTime() <= after.getTime()) continue
+    results.push(date)
+    if (results.length >= limit) break
+  }
+
+  return results
+}
+
+// The next occurrence after a given time, or null when the series has ended
+export const nextOccurrence = (rule, start, after) => occurrencesAfter(rule, start, after, 1)[0] || null
@@ -0,0 +1,54 @@
+// Full-text search over documents: the indexed vector and the query syntax users type
+
+export const SEARCH_CONFIG = 'english'
+
+// Titles rank above body text. The GIN index in initDatabase is built on this exact
+// expression, so queries must use it verbatim for the index to apply.
+export const DOCUMENT_SEARCH_VECTOR = `(setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(title, '')), 'A') || setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(content, '')), 'B'))`
+
+const TERM_PATTERN = /(-?)(?:"([^"]*)"?|(\S+))/g
+
+// Letters and digits of a word; everything else separates words
+const wordsOf = (text) => text.split(/[^\p{L}\p{N}_]+/u).filter(Boolean)
+
+// Parse a search like `roadmap "release plan" deploy* -draft` into terms: quoted phrases,
+// words ending in * that match by prefix, plain words, and any of those excluded with a leading -.
+// Returns { terms } or { error }.
+export const parseSearchQuery = (text) => {
+  const terms = []
+
+  for (const [, minus, phrase, word] of String(text || '').matchAll(TERM_PATTERN)) {
+    const negated = minus === '-'
+
+    if (phrase !== undefined) {
+      const words = wordsOf(phrase)
+      if (words.length > 0) terms.push({ type: 'phrase', value: words.join(' '), negated })
+    } else if (word.endsWith('*')) {
+      const words = wordsOf(word)
+      if (words.length > 0) terms.push({ type: 'prefix', value: `${words.join(' & ')}:*`, negated })
+    } else {
+      const words = wordsOf(word)
+      if (words.length > 0) terms.push({ type: 'word', value: words.join(' '), negated })
+    }
+  }
+
+  if (!terms.some(term => !term.negated)) {
+    return { error: 'Search query must include at least one word to look for' }
+  }
+
+  return { terms }
+}
+
+// SQL tsquery matching all the terms, appending values to params. Prefix values are
+// already reduced to letters, digits and operators, so to_tsquery cannot fail on them.
+export const buildSearchQuery = (terms, params) => terms.map(({ type, value, negated }) => {
+  params.push(value)
+  const placeholder = `$${params.length}`
+  const query = type === 'phrase'
+    ? `phraseto_tsquery('${SEARCH_CONFIG}', ${placeholder})`
+    : type === 'prefix'
+      ? `to_tsquery('${SEARCH_CONFIG}', ${placeholder})`
+      : `plainto_tsquery('${SEARCH_CONFIG}', ${placeholder})`
+
+  return negated ? `!!${query}` : query
+}).join(' && ')
@@ -0,0 +1,290 @@
+// Query model shared by the SQL and mock-data paths of GET /api/tasks
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 }
+
+// Sortable fields: the SQL expression plus an equivalent accessor for in-memory rows
+const SORT_FIELDS = {
+  created_at: {
+    column: 't.created_at',
+    value: task => new Date(task.created_at).getTime()
+  },
+  updated_at: {
+    column: 't.updated_at',
+    value: task => new Date(task.updated_at || task.created_at).getTime()
+  },
+  title: {
+    column: 'lower(t.title)',
+    value: task => (task.title || '').toLowerCase()
+  },
+  position: {
+    column: 't.position',
+    value: task => task.position || ''
+  },
+  status: {
+    column: 't.status',
+    value: task => task.status || ''
+  },
+  due_date: {
+    column: `COALESCE(t.due_date, 'infinity'::timestamp)`,
+    value: task => (task.due_date ? new Date(task.due_date).getTime() : Number.MAX_SAFE_INTEGER)
+  },
+  priority: {
+    column: `CASE t.priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'urgent' THEN 4 ELSE 0 END`,
+    value: task => PRIORITY_RANK[task.priority] || 0
+  }
+}
+
+const DATE_FILTERS = {
+  created_from: { field: 'created_at', op: '>=' },
+  created_to: { field: 'created_at', op: '<=' },
+  updated_from: { field: 'updated_at', op: '>=' },
+  updated_to: { field: 'updated_at', op: '<=' },
+  due_from: { field: 'due_date', op: '>=' },
+  due_to: { field: 'due_date', op: '<=' }
+}
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+  return items.length > 0 ? items : null
+}
+
+// Cursors are opaque to clients: base64url-encoded JSON
+export const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url')
+
+export const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+}
+
+// Parameters that take a single value; repeating one makes it an array
+const SINGLE_PARAMS = ['q', 'sort', 'order', 'limit', 'cursor', ...Object.keys(DATE_FILTERS)]
+
+// Validate GET /api/tasks query parameters into a filter object
+export const parseTaskQuery = (query, user) => {
+  const resolveUser = (id) => (id === 'me' ? user.id : id)
+  const repeated = SINGLE_PARAMS.find(key => query[key] !== undefined && typeof query[key] !== 'string')
+
+  if (repeated) {
+    return { error: `${repeated} must be given once` }
+  }
+
+  const filters = {
+    status: toList(query.status),
+    priority: toList(query.priority),
+    assigned_to: toList(query.assigned_to)?.map(resolveUser) || null,
+    created_by: toList(query.created_by)?.map(resolveUser) || null,
+    team_id: toList(query.team_id),
+    sprint_id: toList(query.sprint_id),
+    milestone_id: toList(query.milestone_id),
+    label: toList(query.label)?.map(label => label.toLowerCase()) || null,
+    fields: {},
+    q: query.q?.trim() || null,
+    dates: {},
+    sort: query.sort || 'created_at',
+    order: (query.order || 'desc').toLowerCase(),
+    limit: DEFAULT_LIMIT,
+    cursor: null
+  }
+
+  if (!SORT_FIELDS[filters.sort]) {
+    return { error: `Invalid sort field. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` }
+  }
+
+  if (!['asc', 'desc'].includes(filters.order)) {
+    return { error: 'Invalid order. Use asc or desc' }
+  }
+
+  for (const key of Object.keys(DATE_FILTERS)) {
+    if (!query[key]) continue
+
+    const date = new Date(query[key])
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid date for ${key}` }
+    }
+    filters.dates[key] = date
+  }
+
+  // Custom field filters arrive as field[key]=value, with commas for alternatives
+  if (query.field !== undefined) {
+    if (!query.field || typeof query.field !== 'object' || Array.isArray(query.field)) {
+      return { error: 'Custom field filters must be given as field[key]=value' }
+    }
+
+    for (const [key, value] of Object.entries(query.field)) {
+      if (!FIELD_KEY_PATTERN.test(key) || !toList(value)) {
+        return { error: `Invalid custom field filter for ${key}` }
+      }
+      filters.fields[key] = toList(value)
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10)
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'Limit must be a positive integer' }
+    }
+    filters.limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor)
+    if (!cursor || cursor.sort !== filters.sort || cursor.order !== filters.order || !cursor.id) {
+      return { error: 'Invalid cursor for this sort order' }
+    }
+    filters.cursor = cursor
+  }
+
+  return { filters }
+}
+
+// Build SQL conditions for the filters, appending values to params
+export const buildTaskConditions = (filters, params) => {
+  const conditions = []
+  const add = (sql, value) => {
+    params.push(value)
+    conditions.push(sql.replace('?', `$${params.length}`))
+  }
+
+  if (filters.status) add('t.status = ANY(?)', filters.status)
+  if (filters.priority) add('t.priority = ANY(?)', filters.priority)
+  if (filters.assigned_to) add('t.assigned_to::text = ANY(?)', filters.assigned_to)
+  if (filters.created_by) add('t.created_by::text = ANY(?)', filters.created_by)
+  if (filters.team_id) add('t.team_id::text = ANY(?)', filters.team_id)
+
+  // "none" selects tasks without a sprint or milestone, e.g. the backlog
+  for (const column of ['sprint_id', 'milestone_id']) {
+    if (!filters[column]) continue
+
+    const ids = filters[column].filter(id => id !== 'none')
+    const alternatives = filters[column].includes('none') ? [`t.${column} IS NULL`] : []
+
+    if (ids.length > 0) {
+      params.push(ids)
+      alternatives.push(`t.${column}::text = ANY($${params.length})`)
+    }
+    conditions.push(`(${alternatives.join(' OR ')})`)
+  }
+
+  // Labels match by id or case-insensitive name; any listed label qualifies
+  if (filters.label) {
+    params.push(filters.label)
+    conditions.push(`EXISTS (
+      SELECT 1 FROM task_labels tl JOIN team_labels l ON l.id = tl.label_id
+      WHERE tl.task_id = t.id AND (l.id::text = ANY($${params.length}) OR lower(l.name) = ANY($${params.length}))
+    )`)
+  }
+
+  for (const [key, values] of Object.entries(filters.fields)) {
+    params.push(key)
+    add(`t.custom_fields ->> $${params.length} = ANY(?)`, values)
+  }
+
+  for (const [key, date] of Object.entries(filters.dates)) {
+    const { field, op } = DATE_FILTERS[key]
+    add(`t.${field} ${op} ?`, date)
+  }
+
+  if (filters.q) {
+    const pattern = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`
+    params.push(pattern)
+    conditions.push(`(t.title ILIKE $${params.length} OR t.description ILIKE $${params.length})`)
+  }
+
+  return conditions
+}
+
+// Build keyset pagination pieces for the current sort, appending values to params
+export const buildTaskPagination = (filters, params) => {
+  const { column } = SORT_FIELDS[filters.sort]
+  const direction = filters.order === 'asc' ? 'ASC' : 'DESC'
+  const conditions = []
+
+  if (filters.cursor) {
+    params.push(filters.cursor.value, filters.cursor.id)
+    const op = filters.order === 'asc' ? '>' : '<'
+    conditions.push(`(${column}, t.id) ${op} ($${params.length - 1}, $${params.length})`)
+  }
+
+  return {
+    conditions,
+    cursorColumn: `(${column})::text`,
+    orderBy: `${column} ${direction}, t.id ${direction}`,
+    limit: filters.limit + 1
+  }
+}
+
+// Trim the extra look-ahead row and derive next_cursor from the last row returned
+export const paginateTaskRows = (rows, filters) => {
+  const hasMore = rows.length > filters.limit
+  const page = rows.slice(0, filters.limit)
+  const last = page[page.length - 1]
+
+  const tasks = page.map(({ cursor_value, ...task }) => task)
+  const next_cursor = hasMore && last
+    ? encodeCursor({ sort: filters.sort, order: filters.order, value: last.cursor_value, id: last.id })
+    : null
+
+  return { tasks, next_cursor }
+}
+
+// Apply the same filters, sort and pagination to an in-memory list of tasks
+export const applyTaskQuery = (tasks, filters) => {
+  const { value } = SORT_FIELDS[filters.sort]
+  const direction = filters.order === 'asc' ? 1 : -1
+  const needle = filters.q?.toLowerCase()
+
+  const inList = (list, item) => !list || list.includes(item === null || item === undefined ? '' : String(item))
+
+  // Order by the sort value, then by id, matching the SQL ORDER BY
+  const compareKeys = ([va, ia], [vb, ib]) => {
+    if (va !== vb) return va < vb ? -1 : 1
+    return String(ia) < String(ib) ? -1 : String(ia) > String(ib) ? 1 : 0
+  }
+
+  let rows = tasks.filter(task => (
+    inList(filters.status, task.status) &&
+    inList(filters.priority, task.priority) &&
+    inList(filters.assigned_to, task.assigned_to) &&
+    inList(filters.created_by, task.created_by) &&
+    inList(filters.team_id, task.team_id) &&
+    ['sprint_id', 'milestone_id'].every(column => (
+      !filters[column] || filters[column].includes(task[column] ? String(task[column]) : 'none')
+    )) &&
+    (!filters.label || (task.labels || []).some(label => (
+      filters.label.includes(String(label.id)) || filters.label.includes(label.name.toLowerCase())
+    ))) &&
+    Object.entries(filters.fields).every(([key, values]) => (
+      task.custom_fields?.[key] !== undefined && values.includes(String(task.custom_fields[key]))
+    )) &&
+    Object.entries(filters.dates).every(([key, date]) => {
+      const { field, op } = DATE_FILTERS[key]
+      if (!task[field] && field === 'due_date') return false
+      const time = new Date(task[field] || task.created_at).getTime()
+      return op === '>=' ? time >= date.getTime() : time <= date.getTime()
+    }) &&
+    (!needle || [task.title, task.description].some(text => text?.toLowerCase().includes(needle)))
+  ))
+
+  rows.sort((a, b) => compareKeys([value(a), a.id], [value(b), b.id]) * direction)
+
+  if (filters.cursor) {
+    const marker = [filters.cursor.value, filters.cursor.id]
+    rows = rows.filter(task => compareKeys([value(task), task.id], marker) * direction > 0)
+  }
+
+  return paginateTaskRows(
+    rows.slice(0, filters.limit + 1).map(task => ({ ...task, cursor_value: value(task) })),
+    filters
+  )
+}
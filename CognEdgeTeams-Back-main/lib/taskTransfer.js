@@ -0,0 +1,148 @@
+// Record shape shared by task import and export so files can round-trip
+
+import { formatCsv, parseCsv, unguardCell } from './csv.js'
+
+export const TRANSFER_FIELDS = ['title', 'description', 'status', 'priority', 'assignee_email', 'due_date']
+export const TASK_STATUSES = ['todo', 'in_progress', 'done']
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent']
+export const MAX_IMPORT_ROWS = 1000
+
+const TITLE_MAX_LENGTH = 255
+
+// "In progress" and "in-progress" both mean in_progress
+const normalizeChoice = (value) => value.trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+const blankToNull = (value) => {
+  if (value === undefined || value === null) return null
+  const text = String(value).trim()
+  return text === '' ? null : text
+}
+
+// Read the uploaded data into plain records keyed by source column.
+// Returns { records, firstRow } where firstRow is the row number of the first record, or { error }.
+export const readImportRecords = (format, data) => {
+  if (format === 'csv') {
+    if (typeof data !== 'string') {
+      return { error: 'CSV data must be sent as a string' }
+    }
+
+    const { rows, error } = parseCsv(data)
+    if (error) return { error }
+    if (rows.length < 2) return { error: 'CSV data needs a header row and at least one task' }
+
+    const [header, ...body] = rows
+    const columns = header.map(column => column.trim())
+    const records = body.map(cells => Object.fromEntries(columns.map((column, index) => [column, unguardCell(cells[index])])))
+
+    return { records, firstRow: 2 }
+  }
+
+  if (format === 'json') {
+    let records = data
+
+    if (typeof data === 'string') {
+      try {
+        records = JSON.parse(data)
+      } catch {
+        return { error: 'JSON data could not be parsed' }
+      }
+    }
+
+    if (!Array.isArray(records) || records.length === 0 || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+      return { error: 'JSON data must be a non-empty array of objects' }
+    }
+
+    return { records, firstRow: 1 }
+  }
+
+  return { error: 'Format must be csv or json' }
+}
+
+// Resolve which source column feeds each task field. An explicit mapping
+// ({ title: 'Summary' }) wins; otherwise columns matching a field name are used.
+export const resolveMapping = (records, mapping = {}) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'Mapping must be an object of task field to source column' }
+  }
+
+  const unknown = Object.keys(mapping).filter(field => !TRANSFER_FIELDS.includes(field))
+  if (unknown.length > 0) {
+    return { error: `Unknown mapping fields: ${unknown.join(', ')}. Use: ${TRANSFER_FIELDS.join(', ')}` }
+  }
+
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))]
+  const resolved = {}
+
+  for (const field of TRANSFER_FIELDS) {
+    if (mapping[field]) {
+      if (!columns.includes(mapping[field])) {
+        return { error: `Mapped column "${mapping[field]}" for ${field} is not in the data` }
+      }
+      resolved[field] = mapping[field]
+    } else {
+      const match = columns.find(column => column.trim().toLowerCase() === field)
+      if (match) resolved[field] = match
+    }
+  }
+
+  if (!resolved.title) {
+    return { error: 'No column is mapped to title' }
+  }
+
+  return { mapping: resolved }
+}
+
+// Turn one source record into task values, collecting problems instead of stopping at the first
+export const mapImportRecord = (record, mapping) => {
+  const value = (field) => (mapping[field] ? blankToNull(record[mapping[field]]) : null)
+  const errors = []
+
+  const title = value('title')
+  if (!title) errors.push({ field: 'title', error: 'Title is required' })
+  else if (title.length > TITLE_MAX_LENGTH) errors.push({ field: 'title', error: `Title is longer than ${TITLE_MAX_LENGTH} characters` })
+
+  const status = value('status') ? normalizeChoice(value('status')) : 'todo'
+  if (!TASK_STATUSES.includes(status)) {
+    errors.push({ field: 'status', error: `Status must be one of: ${TASK_STATUSES.join(', ')}` })
+  }
+
+  const priority = value('priority') ? normalizeChoice(value('priority')) : 'medium'
+  if (!TASK_PRIORITIES.includes(priority)) {
+    errors.push({ field: 'priority', error: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}` })
+  }
+
+  let dueDate = null
+  if (value('due_date')) {
+    dueDate = new Date(value('due_date'))
+    if (Number.isNaN(dueDate.getTime())) {
+      errors.push({ field: 'due_date', error: 'Invalid due_date' })
+    }
+  }
+
+  return {
+    task: {
+      title,
+      description: value('description'),
+      status,
+      priority,
+      assignee_email: value('assignee_email')?.toLowerCase() || null,
+      due_date: dueDate
+    },
+    errors
+  }
+}
+
+// Export record for a task row joined with its assignee's email
+export const toTransferRecord = (task) => ({
+  title: task.title,
+  description: task.description ?? null,
+  status: task.status,
+  priority: task.priority,
+  assignee_email: task.assigned_to_email ?? null,
+  due_date: task.due_date ? new Date(task.due_date).toISOString() : null
+})
+
+export const formatTransferCsv = (records) => formatCsv([
+  TRANSFER_FIELDS,
+  ...records.map(record => TRANSFER_FIELDS.map(field => record[field]))
+])
@@ -0,0 +1,54 @@
+// {{placeholders}} in document templates
+
+import { formatDay } from './dates.js'
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][\w.]*)\s*\}\}/gi
+const NAME_PATTERN = /^[a-z][\w.]*$/i
+
+export const MAX_TEMPLATE_VARIABLES = 50
+
+// Names a template uses, in order of first appearance
+export const templatePlaceholders = (...texts) => [
+  ...new Set(texts.flatMap(text => [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name)))
+]
+
+// Values available to every template. Callers can override them, for example to send
+// the date in their own time zone.
+export const builtInValues = ({ author, team, now = new Date() }) => ({
+  date: formatDay(now),
+  time: now.toISOString().slice(11, 16),
+  author: author.user_metadata?.full_name || author.email,
+  author_email: author.email,
+  team: team.name
+})
+
+// Check caller supplied values: a flat object of names to strings or numbers.
+// Returns { values } or { error }.
+export const parseTemplateVariables = (variables) => {
+  if (variables === undefined || variables === null) return { values: {} }
+
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return { error: 'variables must be an object of names to values' }
+  }
+
+  const entries = Object.entries(variables)
+
+  if (entries.length > MAX_TEMPLATE_VARIABLES) {
+    return { error: `At most ${MAX_TEMPLATE_VARIABLES} variables are allowed` }
+  }
+
+  for (const [name, value] of entries) {
+    if (!NAME_PATTERN.test(name) || !['string', 'number'].includes(typeof value)) {
+      return { error: `Invalid template variable ${name}` }
+    }
+  }
+
+  return { values: Object.fromEntries(entries.map(([name, value]) => [name, String(value)])) }
+}
+
+// Replace each {{name}} that has a value, passing values through escape first.
+// Placeholders without a value are left in place for the author to fill in.
+export const fillTemplate = (text, values, escape = (value) => value) => (text || '').replace(
+  PLACEHOLDER_PATTERN,
+  (match, name) => (Object.hasOwn(values, name) ? escape(values[name]) : match)
+)
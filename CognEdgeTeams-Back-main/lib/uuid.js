@@ -0,0 +1,6 @@
+// Row ids, which Postgres generates with gen_random_uuid()
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Check a value from a request before it reaches a uuid column, which would fail the query
+export const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value)
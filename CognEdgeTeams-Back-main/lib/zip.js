@@ -0,0 +1,109 @@
+// Minimal ZIP archive writing (deflated entries, no ZIP64)
+
+import zlib from 'zlib'
+
+// Past these the archive would need ZIP64 records
+export const MAX_ZIP_ENTRIES = 0xffff
+const MAX_ZIP_SIZE = 0xffffffff
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (data) => {
+  let crc = 0xffffffff
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields, in local time with two-second precision
+const dosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+// Make entry names unique within the archive by numbering repeats: "Notes (2).md"
+export const uniqueEntryNames = (names) => {
+  const used = new Set()
+
+  return names.map(name => {
+    const dot = name.lastIndexOf('.')
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, '']
+    let candidate = name
+
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${extension}`
+
+    used.add(candidate.toLowerCase())
+    return candidate
+  })
+}
+
+// Build a ZIP archive from [{ name, data, modifiedAt }] where data is a string or Buffer.
+// Names are stored as UTF-8 and may contain / for folders.
+export const createZip = (entries) => {
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`A ZIP archive can hold at most ${MAX_ZIP_ENTRIES} files`)
+  }
+
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const { name, data, modifiedAt = new Date() } of entries) {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')
+    const compressed = zlib.deflateRawSync(bytes)
+    const fileName = Buffer.from(name, 'utf8')
+    const { time, date } = dosDateTime(modifiedAt)
+    const crc = crc32(bytes)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4) // version needed: 2.0 for deflate
+    local.writeUInt16LE(0x0800, 6) // names are UTF-8
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(date, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(bytes.length, 22)
+    local.writeUInt16LE(fileName.length, 26)
+    local.writeUInt16LE(0, 28)
+
+    const header = Buffer.alloc(46)
+    header.writeUInt32LE(0x02014b50, 0)
+    header.writeUInt16LE(20, 4) // made by
+    header.writeUInt16LE(20, 6)
+    header.writeUInt16LE(0x0800, 8)
+    header.writeUInt16LE(8, 10)
+    header.writeUInt16LE(time, 12)
+    header.writeUInt16LE(date, 14)
+    header.writeUInt32LE(crc, 16)
+    header.writeUInt32LE(compressed.length, 20)
+    header.writeUInt32LE(bytes.length, 24)
+    header.writeUInt16LE(fileName.length, 28)
+    header.writeUInt32LE(offset, 42)
+
+    parts.push(local, fileName, compressed)
+    central.push(header, fileName)
+    offset += local.length + fileName.length + compressed.length
+
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archive is too large')
+    }
+  }
+
+  const directory = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...parts, directory, end])
+}
@@ -0,0 +1,250 @@
+import express from 'express'
+import pool from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import { RECIPIENTS, parseAutomation } from '../lib/automationRules.js'
+
+// Mounted under /api/teams/:id/automations
+const router = express.Router({ mergeParams: true })
+
+const DEFAULT_RUN_LIMIT = 50
+const MAX_RUN_LIMIT = 200
+
+// Check that users and labels named in a rule belong to the team. Returns an error message or null.
+const validateReferences = async (teamId, rule) => {
+  for (const action of rule.actions) {
+    const userId = ['assign', 'notify'].includes(action.type) && !RECIPIENTS.includes(action.to) ? action.to : null
+
+    if (userId && !(await getTeamRole(teamId, userId))) {
+      return `User ${userId} is not a member of the team`
+    }
+
+    if (action.type === 'add_label') {
+      const label = await pool.query('SELECT 1 FROM team_labels WHERE id = $1 AND team_id = $2', [action.label_id, teamId])
+
+      if (label.rows.length === 0) {
+        return 'Labels must belong to the team'
+      }
+    }
+  }
+
+  return null
+}
+
+const requireMember = async (req, res) => {
+  if (!(await getTeamRole(req.params.id, req.user.id))) {
+    res.status(403).json({ error: 'You are not a member of this team' })
+    return false
+  }
+  return true
+}
+
+const requireAdmin = async (req, res) => {
+  if ((await getTeamRole(req.params.id, req.user.id)) !== 'admin') {
+    res.status(403).json({ error: 'Only team admins can manage automations' })
+    return false
+  }
+  return true
+}
+
+const parseRunLimit = (value) => {
+  const limit = parseInt(value, 10)
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_RUN_LIMIT) : DEFAULT_RUN_LIMIT
+}
+
+// Get the team's automation rules
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const result = await pool.query(
+      `SELECT a.*,
+              (SELECT max(r.created_at) FROM automation_runs r WHERE r.automation_id = a.id) as last_run_at
+       FROM team_automations a
+       WHERE a.team_id = $1
+       ORDER BY a.created_at ASC`,
+      [req.params.id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get automations error:', error)
+    res.status(500).json({ error: 'Failed to fetch automations' })
+  }
+})
+
+// Create an automation rule
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { rule, error } = parseAutomation(req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    if (!(await requireAdmin(req, res))) return
+
+    const referenceError = await validateReferences(req.params.id, rule)
+
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO team_automations (team_id, name, trigger, conditions, actions, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        req.params.id, rule.name, JSON.stringify(rule.trigger), JSON.stringify(rule.conditions),
+        JSON.stringify(rule.actions), rule.enabled, req.user.id
+      ]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    console.error('Create automation error:', error)
+    res.status(500).json({ error: 'Failed to create automation' })
+  }
+})
+
+// Recent runs across the team's rules, optionally for one task
+router.get('/runs', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const params = [req.params.id]
+    const conditions = ['a.team_id = $1']
+
+    if (req.query.task_id) {
+      params.push(req.query.task_id)
+      conditions.push(`r.task_id = $${params.length}`)
+    }
+
+    params.push(parseRunLimit(req.query.limit))
+
+    const result = await pool.query(
+      `SELECT r.*, a.name as automation_name
+       FROM automation_runs r
+       JOIN team_automations a ON a.id = r.automation_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY r.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get automation runs error:', error)
+    res.status(500).json({ error: 'Failed to fetch automation runs' })
+  }
+})
+
+// Get one automation rule
+router.get('/:automationId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const result = await pool.query(
+      'SELECT * FROM team_automations WHERE id = $1 AND team_id = $2',
+      [req.params.automationId, req.params.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation not found' })
+    }
+
+    res.json(result.rows[0])
+  } catch (error) {
+    console.error('Get automation error:', error)
+    res.status(500).json({ error: 'Failed to fetch automation' })
+  }
+})
+
+// Update an automation rule, e.g. to change its actions or disable it
+router.put('/:automationId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res))) return
+
+    const existing = await pool.query(
+      'SELECT * FROM team_automations WHERE id = $1 AND team_id = $2',
+      [req.params.automationId, req.params.id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation not found' })
+    }
+
+    const { rule, error } = parseAutomation(req.body, existing.rows[0])
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const referenceError = await validateReferences(req.params.id, rule)
+
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError })
+    }
+
+    const result = await pool.query(
+      `UPDATE team_automations
+       SET name = $1, trigger = $2, conditions = $3, actions = $4, enabled = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        rule.name, JSON.stringify(rule.trigger), JSON.stringify(rule.conditions),
+        JSON.stringify(rule.actions), rule.enabled, req.params.automationId
+      ]
+    )
+
+    res.json(result.rows[0])
+  } catch (error) {
+    console.error('Update automation error:', error)
+    res.status(500).json({ error: 'Failed to update automation' })
+  }
+})
+
+// Delete an automation rule and its run log
+router.delete('/:automationId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res))) return
+
+    const result = await pool.query(
+      'DELETE FROM team_automations WHERE id = $1 AND team_id = $2 RETURNING *',
+      [req.params.automationId, req.params.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation not found' })
+    }
+
+    res.json({ message: 'Automation deleted successfully' })
+  } catch (error) {
+    console.error('Delete automation error:', error)
+    res.status(500).json({ error: 'Failed to delete automation' })
+  }
+})
+
+// Execution log of one rule, newest first
+router.get('/:automationId/runs', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const result = await pool.query(
+      `SELECT r.*
+       FROM automation_runs r
+       JOIN team_automations a ON a.id = r.automation_id
+       WHERE r.automation_id = $1 AND a.team_id = $2
+       ORDER BY r.created_at DESC
+       LIMIT $3`,
+      [req.params.automationId, req.params.id, parseRunLimit(req.query.limit)]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get automation runs error:', error)
+    res.status(500).json({ error: 'Failed to fetch automation runs' })
+  }
+})
+
+export default router
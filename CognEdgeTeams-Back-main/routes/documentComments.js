@@ -0,0 +1,527 @@
+import express from 'express'
+import pool, { withTransaction } from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { canAccessDocument, documentAccessError, loadDocumentAccess, shareTokenFrom } from '../services/documentAccess.js'
+import {
+  createDocumentAnchor,
+  readDocumentAnchor,
+  replaceDocumentRange,
+  resolveDocumentAnchors
+} from '../services/documentSync.js'
+import { describeActor } from '../services/taskEvents.js'
+
+// Mounted under /api/documents/:id/comments
+const router = express.Router({ mergeParams: true })
+
+const THREAD_KINDS = ['comment', 'suggestion']
+const THREAD_STATUSES = ['open', 'resolved', 'accepted', 'rejected']
+
+const THREAD_COLUMNS = `t.*,
+  u.email as created_by_email,
+  u.raw_user_meta_data->>'full_name' as created_by_name`
+
+const COMMENT_COLUMNS = `c.*,
+  u.email as user_email,
+  u.raw_user_meta_data->>'full_name' as user_name`
+
+const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null)
+
+// Trimmed comment text from a request body; empty when missing or not a string
+const commentContent = (body) => (typeof body.content === 'string' ? body.content.trim() : '')
+
+const requireDocumentAccess = async (req, res, action) => {
+  const access = await loadDocumentAccess(pool, req.params.id, req.user.id, { shareToken: shareTokenFrom(req) })
+  const denial = documentAccessError(access, action)
+
+  if (denial) {
+    res.status(denial.status).json({ error: denial.error })
+    return null
+  }
+
+  return access
+}
+
+// Tell everyone with the document open over /docs
+const emitToDocument = (req, event, payload) => {
+  req.app.get('io')?.of('/docs').to(`doc:${req.params.id}`).emit(event, {
+    docId: req.params.id,
+    ...payload,
+    actor: describeActor(req.user)
+  })
+}
+
+// Threads with their comments, oldest comment first, and anchors resolved against the current text
+const loadThreads = async (documentId, { threadId = null, status = null, kind = null, createdBy = null } = {}) => {
+  const params = [documentId]
+  const conditions = ['t.document_id = $1']
+
+  if (threadId) {
+    params.push(threadId)
+    conditions.push(`t.id = $${params.length}`)
+  }
+  if (status) {
+    params.push(status)
+    conditions.push(`t.status = ANY($${params.length})`)
+  }
+  if (kind) {
+    params.push(kind)
+    conditions.push(`t.kind = $${params.length}`)
+  }
+  if (createdBy) {
+    params.push(createdBy)
+    conditions.push(`t.created_by = $${params.length}`)
+  }
+
+  const threads = await pool.query(
+    `SELECT ${THREAD_COLUMNS}
+     FROM document_comment_threads t
+     LEFT JOIN auth.users u ON u.id = t.created_by
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY t.created_at ASC`,
+    params
+  )
+
+  if (threads.rows.length === 0) return []
+
+  const comments = await pool.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM document_comments c
+     LEFT JOIN auth.users u ON u.id = c.user_id
+     WHERE c.thread_id = ANY($1)
+     ORDER BY c.created_at ASC`,
+    [threads.rows.map(thread => thread.id)]
+  )
+
+  const anchored = threads.rows.filter(thread => thread.anchor_start)
+  const ranges = await resolveDocumentAnchors(documentId, anchored.map(thread => [thread.anchor_start, thread.anchor_end]))
+  const rangeOf = new Map(anchored.map((thread, index) => [thread.id, ranges[index]]))
+
+  return threads.rows.map(({ anchor_start, anchor_end, ...thread }) => ({
+    ...thread,
+    anchor: anchor_start
+      ? {
+          start: anchor_start.toString('base64'),
+          end: anchor_end.toString('base64'),
+          index: rangeOf.get(thread.id)?.index ?? null,
+          length: rangeOf.get(thread.id)?.length ?? null
+        }
+      : null,
+    comments: comments.rows.filter(comment => comment.thread_id === thread.id)
+  }))
+}
+
+const loadThread = async (documentId, threadId) => (await loadThreads(documentId, { threadId }))[0] || null
+
+// Turn the anchor in a request into stored relative positions. Clients may send an absolute
+// { index, length } in the current text, or { start, end } relative positions they encoded
+// themselves (base64), which is safer while they have unsynced edits.
+// Returns { anchor } (null without one) or { error }.
+const parseAnchor = async (documentId, anchor) => {
+  if (anchor === undefined || anchor === null) return { anchor: null }
+
+  if (typeof anchor !== 'object') {
+    return { error: 'anchor must be an object' }
+  }
+
+  let result
+
+  if (anchor.start !== undefined || anchor.end !== undefined) {
+    if (typeof anchor.start !== 'string' || typeof anchor.end !== 'string') {
+      return { error: 'anchor start and end must be base64 encoded relative positions' }
+    }
+    result = await readDocumentAnchor(documentId, Buffer.from(anchor.start, 'base64'), Buffer.from(anchor.end, 'base64'))
+  } else {
+    const { index, length = 0 } = anchor
+
+    if (!Number.isInteger(index) || index < 0 || !Number.isInteger(length) || length < 0) {
+      return { error: 'anchor index and length must be non-negative integers' }
+    }
+    result = await createDocumentAnchor(documentId, index, length)
+  }
+
+  if (!result) return { error: 'Document not found' }
+  if (result.error) return { error: result.error }
+  return { anchor: result }
+}
+
+// Move a thread from one status to another. Responds with 404 or 409 and returns null when
+// the thread is missing or not in the expected state.
+const changeStatus = async (req, res, { from, to, kind = null }) => {
+  const { id, threadId } = req.params
+  const resolving = to !== 'open'
+
+  const result = await pool.query(
+    `UPDATE document_comment_threads
+     SET status = $3,
+         resolved_by = $4,
+         resolved_at = ${resolving ? 'CURRENT_TIMESTAMP' : 'NULL'},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND document_id = $2 AND status = $5 AND ($6::text IS NULL OR kind = $6)
+     RETURNING *`,
+    [threadId, id, to, resolving ? req.user.id : null, from, kind]
+  )
+
+  if (result.rows.length > 0) return result.rows[0]
+
+  const current = await pool.query(
+    'SELECT status, kind FROM document_comment_threads WHERE id = $1 AND document_id = $2',
+    [threadId, id]
+  )
+
+  if (current.rows.length === 0) {
+    res.status(404).json({ error: 'Comment thread not found' })
+  } else if (kind && current.rows[0].kind !== kind) {
+    res.status(400).json({ error: `Only ${kind}s can be ${to}` })
+  } else {
+    res.status(409).json({ error: `Comment thread is ${current.rows[0].status}` })
+  }
+
+  return null
+}
+
+const respondWithThread = async (req, res, event) => {
+  const thread = await loadThread(req.params.id, req.params.threadId)
+  emitToDocument(req, event, { thread })
+  res.json(thread)
+}
+
+// List comment threads, filtered by status (comma separated), kind and created_by
+router.get('/', authenticateToken, async (req, res) => {
+  const status = toList(req.query.status)
+  const { kind, created_by } = req.query
+
+  if (status && !status.every(value => THREAD_STATUSES.includes(value))) {
+    return res.status(400).json({ error: `Status must be one of: ${THREAD_STATUSES.join(', ')}` })
+  }
+
+  if (kind && !THREAD_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `Kind must be one of: ${THREAD_KINDS.join(', ')}` })
+  }
+
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    res.json(await loadThreads(req.params.id, { status, kind, createdBy: created_by }))
+  } catch (error) {
+    console.error('Get document comments error:', error)
+    res.status(500).json({ error: 'Failed to fetch document comments' })
+  }
+})
+
+// Get one thread
+router.get('/:threadId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    const thread = await loadThread(req.params.id, req.params.threadId)
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Comment thread not found' })
+    }
+
+    res.json(thread)
+  } catch (error) {
+    console.error('Get document comment error:', error)
+    res.status(500).json({ error: 'Failed to fetch document comment' })
+  }
+})
+
+// Start a thread on the document or a range of it. Suggestions need a range and the text to
+// put in its place; their comment is optional.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { kind = 'comment', suggestion } = req.body
+    const content = commentContent(req.body)
+
+    if (!THREAD_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Kind must be one of: ${THREAD_KINDS.join(', ')}` })
+    }
+
+    if ((kind === 'comment' && !content) || (req.body.content != null && typeof req.body.content !== 'string')) {
+      return res.status(400).json({ error: 'Comment content is required' })
+    }
+
+    if (kind === 'suggestion' && (typeof suggestion !== 'string' || !req.body.anchor)) {
+      return res.status(400).json({ error: 'Suggestions need an anchor and suggestion text' })
+    }
+
+    if (!(await requireDocumentAccess(req, res, 'comment'))) return
+
+    const { anchor, error } = await parseAnchor(id, req.body.anchor)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const threadId = await withTransaction(async (client) => {
+      const thread = await client.query(
+        `INSERT INTO document_comment_threads (document_id, kind, anchor_start, anchor_end, quote, suggestion, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [id, kind, anchor?.start || null, anchor?.end || null, anchor?.quote ?? null, kind === 'suggestion' ? suggestion : null, req.user.id]
+      )
+
+      if (content) {
+        await client.query(
+          'INSERT INTO document_comments (thread_id, user_id, content) VALUES ($1, $2, $3)',
+          [thread.rows[0].id, req.user.id, content]
+        )
+      }
+
+      return thread.rows[0].id
+    })
+
+    const thread = await loadThread(id, threadId)
+    emitToDocument(req, 'comment-thread-created', { thread })
+
+    res.status(201).json(thread)
+  } catch (error) {
+    console.error('Create document comment error:', error)
+    res.status(500).json({ error: 'Failed to add document comment' })
+  }
+})
+
+// Reply to a thread
+router.post('/:threadId/replies', authenticateToken, async (req, res) => {
+  try {
+    const { id, threadId } = req.params
+    const content = commentContent(req.body)
+
+    if (!content) {
+      return res.status(400).json({ error: 'Comment content is required' })
+    }
+
+    if (!(await requireDocumentAccess(req, res, 'comment'))) return
+
+    const result = await pool.query(
+      `INSERT INTO document_comments (thread_id, user_id, content)
+       SELECT id, $3, $4 FROM document_comment_threads WHERE id = $1 AND document_id = $2
+       RETURNING *`,
+      [threadId, id, req.user.id, content]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment thread not found' })
+    }
+
+    await pool.query('UPDATE document_comment_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [threadId])
+
+    const comment = {
+      ...result.rows[0],
+      user_email: req.user.email,
+      user_name: req.user.user_metadata?.full_name || null
+    }
+
+    emitToDocument(req, 'comment-added', { thread_id: threadId, comment })
+
+    res.status(201).json(comment)
+  } catch (error) {
+    console.error('Reply to document comment error:', error)
+    res.status(500).json({ error: 'Failed to reply to document comment' })
+  }
+})
+
+// Mark an open thread resolved
+router.post('/:threadId/resolve', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'comment'))) return
+    if (!(await changeStatus(req, res, { from: 'open', to: 'resolved' }))) return
+
+    await respondWithThread(req, res, 'comment-thread-resolved')
+  } catch (error) {
+    console.error('Resolve document comment error:', error)
+    res.status(500).json({ error: 'Failed to resolve document comment' })
+  }
+})
+
+// Reopen a resolved thread
+router.post('/:threadId/reopen', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'comment'))) return
+    if (!(await changeStatus(req, res, { from: 'resolved', to: 'open' }))) return
+
+    await respondWithThread(req, res, 'comment-thread-reopened')
+  } catch (error) {
+    console.error('Reopen document comment error:', error)
+    res.status(500).json({ error: 'Failed to reopen document comment' })
+  }
+})
+
+// Apply a suggestion to the document. Fails with 409 when its range no longer holds the
+// text it was made against, leaving the suggestion open.
+router.post('/:threadId/accept', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'edit'))) return
+
+    const thread = await changeStatus(req, res, { from: 'open', to: 'accepted', kind: 'suggestion' })
+    if (!thread) return
+
+    const applied = await replaceDocumentRange(
+      req.params.id, thread.anchor_start, thread.anchor_end, thread.quote, thread.suggestion, req.user.id
+    )
+
+    if (!applied || applied.conflict) {
+      await pool.query(
+        `UPDATE document_comment_threads
+         SET status = 'open', resolved_by = NULL, resolved_at = NULL
+         WHERE id = $1`,
+        [thread.id]
+      )
+      return res.status(409).json({ error: 'The suggested range has changed since the suggestion was made' })
+    }
+
+    await respondWithThread(req, res, 'comment-thread-accepted')
+  } catch (error) {
+    console.error('Accept suggestion error:', error)
+    res.status(500).json({ error: 'Failed to accept suggestion' })
+  }
+})
+
+// Decline a suggestion; editors and the person who made it may
+router.post('/:threadId/reject', authenticateToken, async (req, res) => {
+  try {
+    const access = await requireDocumentAccess(req, res, 'comment')
+    if (!access) return
+
+    const owner = await pool.query(
+      'SELECT created_by FROM document_comment_threads WHERE id = $1 AND document_id = $2',
+      [req.params.threadId, req.params.id]
+    )
+
+    if (owner.rows[0] && owner.rows[0].created_by !== req.user.id && !canAccessDocument(access.role, 'edit')) {
+      return res.status(403).json({ error: 'Only editors and its author can reject a suggestion' })
+    }
+
+    if (!(await changeStatus(req, res, { from: 'open', to: 'rejected', kind: 'suggestion' }))) return
+
+    await respondWithThread(req, res, 'comment-thread-rejected')
+  } catch (error) {
+    console.error('Reject suggestion error:', error)
+    res.status(500).json({ error: 'Failed to reject suggestion' })
+  }
+})
+
+// Edit your own comment
+router.put('/:threadId/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, threadId, commentId } = req.params
+    const content = commentContent(req.body)
+
+    if (!content) {
+      return res.status(400).json({ error: 'Comment content is required' })
+    }
+
+    if (!(await requireDocumentAccess(req, res, 'comment'))) return
+
+    const existing = await pool.query(
+      `SELECT c.user_id FROM document_comments c
+       JOIN document_comment_threads t ON t.id = c.thread_id
+       WHERE c.id = $1 AND c.thread_id = $2 AND t.document_id = $3`,
+      [commentId, threadId, id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+
+    if (existing.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own comments' })
+    }
+
+    const result = await pool.query(
+      `UPDATE document_comments SET content = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [content, commentId]
+    )
+
+    const comment = {
+      ...result.rows[0],
+      user_email: req.user.email,
+      user_name: req.user.user_metadata?.full_name || null
+    }
+
+    emitToDocument(req, 'comment-edited', { thread_id: threadId, comment })
+
+    res.json(comment)
+  } catch (error) {
+    console.error('Edit document comment error:', error)
+    res.status(500).json({ error: 'Failed to edit document comment' })
+  }
+})
+
+// Delete a reply; its author and document owners may. The first comment goes with its thread.
+router.delete('/:threadId/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, threadId, commentId } = req.params
+    const access = await requireDocumentAccess(req, res, 'read')
+    if (!access) return
+
+    const existing = await pool.query(
+      `SELECT c.user_id,
+              c.id = (SELECT first.id FROM document_comments first
+                      WHERE first.thread_id = c.thread_id
+                      ORDER BY first.created_at ASC, first.id ASC
+                      LIMIT 1) as is_first
+       FROM document_comments c
+       JOIN document_comment_threads t ON t.id = c.thread_id
+       WHERE c.id = $1 AND c.thread_id = $2 AND t.document_id = $3`,
+      [commentId, threadId, id]
+    )
+
+    const comment = existing.rows[0]
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+
+    if (comment.user_id !== req.user.id && !canAccessDocument(access.role, 'manage')) {
+      return res.status(403).json({ error: 'You can only delete your own comments' })
+    }
+
+    if (comment.is_first) {
+      return res.status(400).json({ error: 'Delete the thread to remove its first comment' })
+    }
+
+    await pool.query('DELETE FROM document_comments WHERE id = $1', [commentId])
+    emitToDocument(req, 'comment-deleted', { thread_id: threadId, comment_id: commentId })
+
+    res.json({ message: 'Comment deleted successfully' })
+  } catch (error) {
+    console.error('Delete document comment error:', error)
+    res.status(500).json({ error: 'Failed to delete document comment' })
+  }
+})
+
+// Delete a thread with its replies; its author and document owners may
+router.delete('/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const { id, threadId } = req.params
+    const access = await requireDocumentAccess(req, res, 'read')
+    if (!access) return
+
+    const existing = await pool.query(
+      'SELECT created_by FROM document_comment_threads WHERE id = $1 AND document_id = $2',
+      [threadId, id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment thread not found' })
+    }
+
+    if (existing.rows[0].created_by !== req.user.id && !canAccessDocument(access.role, 'manage')) {
+      return res.status(403).json({ error: 'You can only delete your own comment threads' })
+    }
+
+    await pool.query('DELETE FROM document_comment_threads WHERE id = $1', [threadId])
+    emitToDocument(req, 'comment-thread-deleted', { thread_id: threadId })
+
+    res.json({ message: 'Comment thread deleted successfully' })
+  } catch (error) {
+    console.error('Delete document comment thread error:', error)
+    res.status(500).json({ error: 'Failed to delete document comment thread' })
+  }
+})
+
+export default router
@@ -0,0 +1,325 @@
+import express from 'express'
+import pool, { withTransaction } from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import {
+  buildDocumentRoleExpression,
+  buildFolderAccessCondition,
+  buildFolderRoleExpression,
+  folderAccessError,
+  getBreadcrumbs,
+  grantPermission,
+  listPermissions,
+  loadFolderAccess,
+  revokePermission
+} from '../services/documentAccess.js'
+import { MAX_FOLDER_NAME_LENGTH, deleteFolder, isFolderWithin, restoreFolder } from '../services/documentFolders.js'
+import { closeDocument } from '../services/documentSync.js'
+import { listTrashedFolders } from '../services/trash.js'
+
+// Mounted under /api/documents/folders
+const router = express.Router()
+
+// Serializes folder moves so two concurrent moves cannot form a cycle
+const FOLDER_MOVE_LOCK = 'document_folders_move'
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required'
+  if (name.length > MAX_FOLDER_NAME_LENGTH) return `Name must be at most ${MAX_FOLDER_NAME_LENGTH} characters`
+  return null
+}
+
+// Load the folder in req.params.folderId and check the caller may perform the action on it.
+// Responds and returns null when they may not.
+const requireFolderAccess = async (req, res, action, db = pool) => {
+  const access = await loadFolderAccess(db, req.params.folderId, req.user.id)
+  const denial = folderAccessError(access, action)
+
+  if (denial) {
+    res.status(denial.status).json({ error: denial.error })
+    return null
+  }
+
+  return access
+}
+
+// Check the caller may add to a parent folder; null is the top level, open to everyone.
+// Returns a denial or null.
+const parentAccessError = async (db, parentId, userId) => {
+  if (!parentId) return null
+
+  const denial = folderAccessError(await loadFolderAccess(db, parentId, userId), 'edit')
+  return denial && denial.status === 404 ? { status: 400, error: 'Parent folder not found' } : denial
+}
+
+// Get every folder the user can open. A folder shared on its own lists a parent the
+// user cannot see; clients show it at the top level.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const params = []
+    const access = buildFolderAccessCondition(req.user.id, params)
+    const role = buildFolderRoleExpression(req.user.id, params)
+
+    const result = await pool.query(
+      `SELECT f.*, ${role} as role
+       FROM document_folders f
+       WHERE f.deleted_at IS NULL AND ${access}
+       ORDER BY f.name ASC`,
+      params
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get folders error:', error)
+    res.status(500).json({ error: 'Failed to fetch folders' })
+  }
+})
+
+// Get the trashed folders the caller owns
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listTrashedFolders(pool, req.user.id))
+  } catch (error) {
+    console.error('Get trashed folders error:', error)
+    res.status(500).json({ error: 'Failed to fetch trashed folders' })
+  }
+})
+
+// Get a folder with the way to it, its subfolders and its documents
+router.get('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const access = await requireFolderAccess(req, res, 'read')
+    if (!access) return
+
+    const { folderId } = req.params
+    const folderParams = [folderId]
+    const folderRole = buildFolderRoleExpression(req.user.id, folderParams)
+    const documentParams = [folderId]
+    const documentRole = buildDocumentRoleExpression(req.user.id, documentParams)
+
+    const [breadcrumbs, folders, documents] = await Promise.all([
+      getBreadcrumbs(pool, folderId, req.user.id),
+      pool.query(
+        `SELECT f.*, ${folderRole} as role
+         FROM document_folders f
+         WHERE f.parent_id = $1 AND f.deleted_at IS NULL
+         ORDER BY f.name ASC`,
+        folderParams
+      ),
+      pool.query(
+        `SELECT d.*,
+                u.email as user_email,
+                u.raw_user_meta_data->>'full_name' as user_name,
+                ${documentRole} as role
+         FROM documents d
+         LEFT JOIN auth.users u ON d.user_id = u.id
+         WHERE d.folder_id = $1 AND d.deleted_at IS NULL
+         ORDER BY d.title ASC`,
+        documentParams
+      )
+    ])
+
+    res.json({
+      ...access.folder,
+      role: access.role,
+      breadcrumbs,
+      folders: folders.rows,
+      documents: documents.rows
+    })
+  } catch (error) {
+    console.error('Get folder error:', error)
+    res.status(500).json({ error: 'Failed to fetch folder' })
+  }
+})
+
+// Create a folder at the top level or inside one the caller can edit
+router.post('/', authenticateToken, async (req, res) => {
+  const { name, parent_id = null } = req.body
+  const nameError = validateName(name)
+
+  if (nameError) {
+    return res.status(400).json({ error: nameError })
+  }
+
+  try {
+    const denial = await parentAccessError(pool, parent_id, req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO document_folders (name, parent_id, user_id)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name.trim(), parent_id, req.user.id]
+    )
+
+    res.status(201).json({ ...result.rows[0], role: 'owner' })
+  } catch (error) {
+    console.error('Create folder error:', error)
+    res.status(500).json({ error: 'Failed to create folder' })
+  }
+})
+
+// Rename a folder (editors) and move it under another parent (owners). Sending
+// parent_id: null moves it to the top level. Sharing follows the new parent.
+router.put('/:folderId', authenticateToken, async (req, res) => {
+  const { name } = req.body
+  const moving = req.body.parent_id !== undefined
+  const parentId = req.body.parent_id || null
+
+  if (name !== undefined) {
+    const nameError = validateName(name)
+
+    if (nameError) {
+      return res.status(400).json({ error: nameError })
+    }
+  }
+
+  try {
+    const { folderId } = req.params
+
+    const folder = await withTransaction(async (client) => {
+      if (moving) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [FOLDER_MOVE_LOCK])
+      }
+
+      const access = await requireFolderAccess(req, res, moving ? 'manage' : 'edit', client)
+      if (!access) return null
+
+      if (moving) {
+        const denial = await parentAccessError(client, parentId, req.user.id)
+
+        if (denial) {
+          res.status(denial.status).json({ error: denial.error })
+          return null
+        }
+
+        if (parentId && (await isFolderWithin(client, parentId, folderId))) {
+          res.status(400).json({ error: 'A folder cannot be moved into itself' })
+          return null
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE document_folders
+         SET name = COALESCE($1, name),
+             parent_id = CASE WHEN $2::boolean THEN $3::uuid ELSE parent_id END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [name?.trim() ?? null, moving, parentId, folderId]
+      )
+
+      return result.rows[0]
+    })
+
+    if (!folder) return
+
+    const access = await loadFolderAccess(pool, folderId, req.user.id)
+
+    res.json({ ...folder, role: access.role, breadcrumbs: await getBreadcrumbs(pool, folderId, req.user.id) })
+  } catch (error) {
+    console.error('Update folder error:', error)
+    res.status(500).json({ error: 'Failed to update folder' })
+  }
+})
+
+// Move a folder to the trash with its subfolders and the documents inside; only owners may
+router.delete('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireFolderAccess(req, res, 'manage'))) return
+
+    const documentIds = await withTransaction(client => deleteFolder(client, req.params.folderId, req.user.id))
+
+    documentIds.forEach(closeDocument)
+
+    res.json({ message: 'Folder moved to the trash', trashed_documents: documentIds.length })
+  } catch (error) {
+    console.error('Delete folder error:', error)
+    res.status(500).json({ error: 'Failed to delete folder' })
+  }
+})
+
+// Restore a trashed folder with what was trashed along with it, and the folders above it
+router.post('/:folderId/restore', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadFolderAccess(pool, req.params.folderId, req.user.id, { includeDeleted: true })
+    const denial = folderAccessError(access, 'manage')
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (!access.folder.deleted_at) {
+      return res.status(409).json({ error: 'Folder is not in the trash' })
+    }
+
+    const documentIds = await withTransaction(client => restoreFolder(client, req.params.folderId))
+    const restored = await loadFolderAccess(pool, req.params.folderId, req.user.id)
+
+    res.json({
+      ...restored.folder,
+      role: restored.role,
+      breadcrumbs: await getBreadcrumbs(pool, req.params.folderId, req.user.id),
+      restored_documents: documentIds.length
+    })
+  } catch (error) {
+    console.error('Restore folder error:', error)
+    res.status(500).json({ error: 'Failed to restore folder' })
+  }
+})
+
+// Who the folder is shared with, for those who may manage its sharing; grants reach every
+// folder and document inside it
+router.get('/:folderId/permissions', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireFolderAccess(req, res, 'manage'))) return
+
+    res.json(await listPermissions(pool, { column: 'folder_id', id: req.params.folderId }))
+  } catch (error) {
+    console.error('Get folder permissions error:', error)
+    res.status(500).json({ error: 'Failed to fetch folder permissions' })
+  }
+})
+
+// Grant a user or a team a role on the folder and its contents
+router.put('/:folderId/permissions', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireFolderAccess(req, res, 'manage'))) return
+
+    const { permission, denial } = await grantPermission(
+      pool,
+      { column: 'folder_id', id: req.params.folderId },
+      req.body,
+      req.user.id
+    )
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(permission)
+  } catch (error) {
+    console.error('Share folder error:', error)
+    res.status(500).json({ error: 'Failed to share folder' })
+  }
+})
+
+// Take back a grant on the folder
+router.delete('/:folderId/permissions/:permissionId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireFolderAccess(req, res, 'manage'))) return
+
+    if (!(await revokePermission(pool, { column: 'folder_id', id: req.params.folderId }, req.params.permissionId))) {
+      return res.status(404).json({ error: 'Permission not found' })
+    }
+
+    res.json({ message: 'Permission removed successfully' })
+  } catch (error) {
+    console.error('Remove folder permission error:', error)
+    res.status(500).json({ error: 'Failed to remove folder permission' })
+  }
+})
+
+export default router
@@ -0,0 +1,190 @@
+import express from 'express'
+import pool from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import { templatePlaceholders } from '../lib/templates.js'
+
+// Mounted under /api/teams/:id/templates
+const router = express.Router({ mergeParams: true })
+
+const MAX_NAME_LENGTH = 255
+
+const requireMember = async (req, res) => {
+  const role = await getTeamRole(req.params.id, req.user.id)
+
+  if (!role) {
+    res.status(403).json({ error: 'You are not a member of this team' })
+    return null
+  }
+
+  return role
+}
+
+// The placeholders a template uses, so clients can ask for their values
+const withPlaceholders = (template) => ({ ...template, placeholders: templatePlaceholders(template.title, template.content) })
+
+const validateTemplate = ({ name, title, content, description }, { partial = false } = {}) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required'
+    if (name.length > MAX_NAME_LENGTH) return `Name must be at most ${MAX_NAME_LENGTH} characters`
+  }
+
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > MAX_NAME_LENGTH)) {
+    return `Title must be a string of at most ${MAX_NAME_LENGTH} characters`
+  }
+
+  if (content !== undefined && content !== null && typeof content !== 'string') return 'Content must be a string'
+  if (description !== undefined && description !== null && typeof description !== 'string') return 'Description must be a string'
+
+  return null
+}
+
+const loadTemplate = async (req) => {
+  const result = await pool.query(
+    `SELECT t.*,
+            u.email as created_by_email,
+            u.raw_user_meta_data->>'full_name' as created_by_name
+     FROM document_templates t
+     LEFT JOIN auth.users u ON u.id = t.created_by
+     WHERE t.id = $1 AND t.team_id = $2`,
+    [req.params.templateId, req.params.id]
+  )
+
+  return result.rows[0] || null
+}
+
+// Get the team's document templates
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const result = await pool.query(
+      `SELECT t.*,
+              u.email as created_by_email,
+              u.raw_user_meta_data->>'full_name' as created_by_name
+       FROM document_templates t
+       LEFT JOIN auth.users u ON u.id = t.created_by
+       WHERE t.team_id = $1
+       ORDER BY t.name ASC`,
+      [req.params.id]
+    )
+
+    res.json(result.rows.map(withPlaceholders))
+  } catch (error) {
+    console.error('Get templates error:', error)
+    res.status(500).json({ error: 'Failed to fetch templates' })
+  }
+})
+
+// Get a single template
+router.get('/:templateId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const template = await loadTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' })
+    }
+
+    res.json(withPlaceholders(template))
+  } catch (error) {
+    console.error('Get template error:', error)
+    res.status(500).json({ error: 'Failed to fetch template' })
+  }
+})
+
+// Create a template. The title defaults to the template name.
+router.post('/', authenticateToken, async (req, res) => {
+  const { name, description = null, title, content = '' } = req.body
+  const error = validateTemplate({ name, title, content, description })
+
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  try {
+    if (!(await requireMember(req, res))) return
+
+    const result = await pool.query(
+      `INSERT INTO document_templates (team_id, name, description, title, content, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.params.id, name.trim(), description, title || name.trim(), content || '', req.user.id]
+    )
+
+    res.status(201).json(withPlaceholders(result.rows[0]))
+  } catch (error) {
+    console.error('Create template error:', error)
+    res.status(500).json({ error: 'Failed to create template' })
+  }
+})
+
+// Update a template; its creator and team admins may
+router.put('/:templateId', authenticateToken, async (req, res) => {
+  const { name, description, title, content } = req.body
+  const error = validateTemplate({ name, title, content, description }, { partial: true })
+
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  try {
+    const role = await requireMember(req, res)
+    if (!role) return
+
+    const template = await loadTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' })
+    }
+
+    if (template.created_by !== req.user.id && role !== 'admin') {
+      return res.status(403).json({ error: 'Only the template creator or a team admin can change it' })
+    }
+
+    const result = await pool.query(
+      `UPDATE document_templates
+       SET name = COALESCE($1, name),
+           description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+           title = COALESCE($4, title),
+           content = COALESCE($5, content),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [name?.trim() ?? null, description !== undefined, description ?? null, title || null, content ?? null, template.id]
+    )
+
+    res.json(withPlaceholders(result.rows[0]))
+  } catch (error) {
+    console.error('Update template error:', error)
+    res.status(500).json({ error: 'Failed to update template' })
+  }
+})
+
+// Delete a template; documents created from it are unaffected
+router.delete('/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const role = await requireMember(req, res)
+    if (!role) return
+
+    const template = await loadTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' })
+    }
+
+    if (template.created_by !== req.user.id && role !== 'admin') {
+      return res.status(403).json({ error: 'Only the template creator or a team admin can delete it' })
+    }
+
+    await pool.query('DELETE FROM document_templates WHERE id = $1', [template.id])
+
+    res.json({ message: 'Template deleted successfully' })
+  } catch (error) {
+    console.error('Delete template error:', error)
+    res.status(500).json({ error: 'Failed to delete template' })
+  }
+})
+
+export default router
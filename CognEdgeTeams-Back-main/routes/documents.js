@@ -1,9 +1,81 @@
+import crypto from 'crypto'
 import express from 'express'
-import pool from '../db/database.js'
+import pool, { withTransaction } from '../db/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import {
+  SHARED_ROLES,
+  buildDocumentAccessCondition,
+  buildDocumentRoleExpression,
+  buildTeamShareCondition,
+  documentAccessError,
+  folderAccessError,
+  getBreadcrumbs,
+  grantPermission,
+  listPermissions,
+  loadDocumentAccess,
+  loadFolderAccess,
+  revokePermission,
+  shareTokenFrom
+} from '../services/documentAccess.js'
+import { listFolderDocuments } from '../services/documentFolders.js'
+import { listTrashedDocuments, purgeDocument, restoreDocument, trashDocument } from '../services/trash.js'
+import { DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT, searchDocuments } from '../services/documentSearch.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import {
+  getDocumentVersion,
+  getPreviousVersion,
+  listDocumentVersions,
+  recordDocumentVersion
+} from '../services/documentVersions.js'
+import { closeDocument, syncDocumentContent } from '../services/documentSync.js'
+import { getPresence } from '../services/documentPresence.js'
+import { listBacklinks, recordDocumentReferences } from '../services/references.js'
+import { DIFF_GRANULARITIES, diffText } from '../lib/diff.js'
+import { expectedVersion, setVersionHeader } from '../lib/etag.js'
+import { parseSearchQuery } from '../lib/searchQuery.js'
+import { EXPORT_FORMATS, exportDocument, exportFileName, safeFileName } from '../lib/documentFormats.js'
+import { escapeHtml, isHtml } from '../lib/html.js'
+import { builtInValues, fillTemplate, parseTemplateVariables } from '../lib/templates.js'
+import { createZip, uniqueEntryNames } from '../lib/zip.js'
+import commentsRouter from './documentComments.js'
+import foldersRouter from './documentFolders.js'
 
 const router = express.Router()
 
+router.use('/folders', foldersRouter)
+router.use('/:id/comments', commentsRouter)
+
+const MAX_EXPORT_DOCUMENTS = 500
+
+const DEFAULT_LINK_HOURS = 7 * 24
+const MAX_LINK_HOURS = 90 * 24
+
+// Postgres unique_violation
+const isDuplicate = (error) => error.code === '23505'
+
+// Load the document in req.params.id and check the caller may perform the action on it.
+// Responds and returns null when they may not.
+const requireDocumentAccess = async (req, res, action) => {
+  const access = await loadDocumentAccess(pool, req.params.id, req.user.id, { shareToken: shareTokenFrom(req) })
+  const denial = documentAccessError(access, action)
+
+  if (denial) {
+    res.status(denial.status).json({ error: denial.error })
+    return null
+  }
+
+  return access
+}
+
+// Check the caller may put documents in a folder; null is the top level, open to everyone.
+// Returns a denial or null.
+const folderDestinationError = async (db, folderId, userId) => {
+  if (!folderId) return null
+
+  const denial = folderAccessError(await loadFolderAccess(db, folderId, userId), 'edit')
+  return denial && denial.status === 404 ? { status: 400, error: 'Folder not found' } : denial
+}
+
 // Get all documents
 router.get('/', authenticateToken, async (req, res) => {
   if (!pool) {
@@ -22,13 +94,26 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 
   try {
+    const params = []
+    const conditions = ['d.deleted_at IS NULL', buildDocumentAccessCondition(req.user.id, params)]
+    const role = buildDocumentRoleExpression(req.user.id, params)
+
+    // ?folder_id= limits the list to one folder's documents
+    if (req.query.folder_id) {
+      params.push(req.query.folder_id)
+      conditions.push(`d.folder_id = $${params.length}`)
+    }
+
     const result = await pool.query(
       `SELECT d.*, 
               u.email as user_email,
-              u.raw_user_meta_data->>'full_name' as user_name
+              u.raw_user_meta_data->>'full_name' as user_name,
+              ${role} as role
        FROM documents d
        LEFT JOIN auth.users u ON d.user_id = u.id
-       ORDER BY d.updated_at DESC`
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY d.updated_at DESC`,
+      params
     )
 
     res.json(result.rows)
@@ -38,10 +123,159 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 })
 
+// Full-text search over the documents the user can read. Supports "quoted phrases",
+// prefix* matches and -excluded words; results come best match first with highlights.
+router.get('/search', authenticateToken, async (req, res) => {
+  const parsed = parseSearchQuery(req.query.q)
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error })
+  }
+
+  const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : parseInt(req.query.limit, 10)
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10)
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: 'Limit must be a positive integer' })
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Offset must be a non-negative integer' })
+  }
+
+  try {
+    res.json(await searchDocuments(pool, req.user.id, parsed.terms, {
+      limit: Math.min(limit, MAX_SEARCH_LIMIT),
+      offset
+    }))
+  } catch (error) {
+    console.error('Search documents error:', error)
+    res.status(500).json({ error: 'Failed to search documents' })
+  }
+})
+
+// Export the documents shared with a team, directly or through a folder, or everything
+// below a folder with its subfolders as directories, as a ZIP of files in one format
+router.get('/export', authenticateToken, async (req, res) => {
+  const format = req.query.format || 'md'
+  const { team_id: teamId, folder_id: folderId } = req.query
+
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+  }
+
+  if (Boolean(teamId) === Boolean(folderId)) {
+    return res.status(400).json({ error: 'Provide either team_id or folder_id' })
+  }
+
+  try {
+    let documents
+    let archiveName
+
+    if (folderId) {
+      const access = await loadFolderAccess(pool, folderId, req.user.id)
+      const denial = folderAccessError(access, 'read')
+
+      if (denial) {
+        return res.status(denial.status).json({ error: denial.error })
+      }
+
+      documents = await listFolderDocuments(pool, folderId, req.user.id, { limit: MAX_EXPORT_DOCUMENTS + 1 })
+      archiveName = access.folder.name
+    } else {
+      if (!(await getTeamRole(teamId, req.user.id))) {
+        return res.status(403).json({ error: 'You are not a member of this team' })
+      }
+
+      const params = []
+      const shared = buildTeamShareCondition(teamId, params)
+      const access = buildDocumentAccessCondition(req.user.id, params)
+      params.push(MAX_EXPORT_DOCUMENTS + 1)
+
+      const result = await pool.query(
+        `SELECT d.* FROM documents d
+         WHERE ${shared}
+           AND ${access}
+           AND d.deleted_at IS NULL
+         ORDER BY d.title ASC, d.created_at ASC
+         LIMIT $${params.length}`,
+        params
+      )
+      const team = await pool.query('SELECT name FROM teams WHERE id = $1', [teamId])
+
+      documents = result.rows
+      archiveName = team.rows[0]?.name
+    }
+
+    if (documents.length > MAX_EXPORT_DOCUMENTS) {
+      return res.status(400).json({ error: `Cannot export more than ${MAX_EXPORT_DOCUMENTS} documents at once` })
+    }
+
+    const files = documents.map(document => {
+      const file = exportDocument(document, format)
+      const path = (document.path || []).map(safeFileName)
+      return { ...file, name: [...path, file.name].join('/'), modifiedAt: document.updated_at }
+    })
+    const names = uniqueEntryNames(files.map(file => file.name))
+
+    res.attachment(exportFileName(archiveName, 'zip'))
+    res.type('application/zip').send(createZip(files.map((file, index) => ({
+      name: names[index],
+      data: file.body,
+      modifiedAt: file.modifiedAt
+    }))))
+  } catch (error) {
+    console.error('Export documents error:', error)
+    res.status(500).json({ error: 'Failed to export documents' })
+  }
+})
+
+// Documents in the trash that the user owns. Those shared with a team are also listed in
+// the team's trash.
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listTrashedDocuments(pool, req.user.id))
+  } catch (error) {
+    console.error('Get trashed documents error:', error)
+    res.status(500).json({ error: 'Failed to fetch trashed documents' })
+  }
+})
+
+// Open a share link: the document it points to and the role it grants.
+// Later requests pass the token as X-Share-Token (or ?share_token=) to use that role.
+router.get('/shared/:token', authenticateToken, async (req, res) => {
+  try {
+    const link = await pool.query(
+      `SELECT document_id FROM document_share_links
+       WHERE token = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [req.params.token]
+    )
+
+    if (link.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link is invalid or has expired' })
+    }
+
+    const access = await loadDocumentAccess(pool, link.rows[0].document_id, req.user.id, { shareToken: req.params.token })
+
+    if (!access.document) {
+      return res.status(404).json({ error: 'Share link is invalid or has expired' })
+    }
+
+    setVersionHeader(res, access.document)
+    res.json({ ...access.document, role: access.role })
+  } catch (error) {
+    console.error('Open share link error:', error)
+    res.status(500).json({ error: 'Failed to open share link' })
+  }
+})
+
 // Get a single document
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params
+    const access = await requireDocumentAccess(req, res, 'read')
+
+    if (!access) return
 
     const result = await pool.query(
       `SELECT d.*, 
@@ -53,87 +287,550 @@ router.get('/:id', authenticateToken, async (req, res) => {
       [id]
     )
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Document not found' })
-    }
-
-    res.json(result.rows[0])
+    setVersionHeader(res, result.rows[0])
+    res.json({
+      ...result.rows[0],
+      role: access.role,
+      breadcrumbs: await getBreadcrumbs(pool, result.rows[0].folder_id, req.user.id)
+    })
   } catch (error) {
     console.error('Get document error:', error)
     res.status(500).json({ error: 'Failed to fetch document' })
   }
 })
 
-// Create a new document
+// Title and content for a new document from a team template, with its placeholders filled
+// from the built-in values and the caller's variables. A title the caller sends wins over the
+// template's. Returns { title, content } or { denial }.
+const fillFromTemplate = async (db, templateId, user, { title, variables }) => {
+  const result = await db.query(
+    `SELECT t.*, teams.name as team_name
+     FROM document_templates t
+     JOIN teams ON teams.id = t.team_id
+     WHERE t.id = $1`,
+    [templateId]
+  )
+  const template = result.rows[0]
+
+  if (!template || !(await getTeamRole(template.team_id, user.id, db))) {
+    return { denial: { status: 400, error: 'Template not found' } }
+  }
+
+  const parsed = parseTemplateVariables(variables)
+
+  if (parsed.error) {
+    return { denial: { status: 400, error: parsed.error } }
+  }
+
+  const values = { ...builtInValues({ author: user, team: { name: template.team_name } }), ...parsed.values }
+  const filledTitle = (title || fillTemplate(template.title, values)).slice(0, 255)
+
+  // {{title}} in the content is the document's title. Markup in values would become part
+  // of an HTML template, so it is escaped there.
+  const content = fillTemplate(
+    template.content,
+    { ...values, title: filledTitle },
+    isHtml(template.content) ? escapeHtml : undefined
+  )
+
+  return { title: filledTitle, content }
+}
+
+// Create a new document, optionally inside a folder and from a team template
+// ({ template_id, variables }); title and content sent along override the template's
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { title, content = '' } = req.body
+    const { folder_id = null, template_id = null, variables } = req.body
+    let { title, content = '' } = req.body
     const user_id = req.user.id
 
-    if (!title) {
+    if (!title && !template_id) {
       return res.status(400).json({ error: 'Title is required' })
     }
 
-    const result = await pool.query(
-      `INSERT INTO documents (title, content, user_id)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [title, content, user_id]
-    )
+    const denial = await folderDestinationError(pool, folder_id, user_id)
 
-    res.status(201).json(result.rows[0])
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (template_id) {
+      const filled = await fillFromTemplate(pool, template_id, req.user, { title, variables })
+
+      if (filled.denial) {
+        return res.status(filled.denial.status).json({ error: filled.denial.error })
+      }
+
+      title = filled.title
+      content = req.body.content ?? filled.content
+    }
+
+    const document = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO documents (title, content, user_id, folder_id)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [title, content, user_id, folder_id]
+      )
+
+      await recordDocumentVersion(client, null, result.rows[0], user_id)
+      await recordDocumentReferences(client, result.rows[0], user_id)
+      return result.rows[0]
+    })
+
+    setVersionHeader(res, document)
+    res.status(201).json(document)
   } catch (error) {
     console.error('Create document error:', error)
     res.status(500).json({ error: 'Failed to create document' })
   }
 })
 
-// Update a document
+// Write new title and content to a document, locking it in the caller's transaction, and record
+// the save in its history. Returns { denial } when the caller may not edit it or the version is stale.
+const saveDocument = async (client, id, { title, content }, userId, { version = null, restoredFrom = null, shareToken = null } = {}) => {
+  const access = await loadDocumentAccess(client, id, userId, { shareToken, forUpdate: true })
+  const denial = documentAccessError(access, 'edit')
+  const before = access.document
+
+  if (denial) {
+    return { denial }
+  }
+
+  if (version !== null && version !== before.version) {
+    return { denial: { status: 409, error: 'Document has been modified by someone else', current: before } }
+  }
+
+  const result = await client.query(
+    `UPDATE documents 
+     SET title = COALESCE($1, title),
+         content = COALESCE($2, content),
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [title, content, id]
+  )
+
+  const saved = await recordDocumentVersion(client, before, result.rows[0], userId, { restoredFrom })
+  if (before.content !== result.rows[0].content) await recordDocumentReferences(client, result.rows[0], userId)
+  return { document: result.rows[0], version: saved }
+}
+
+// Update a document. Sending If-Match (or a version field) turns a stale write into a 409.
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params
     const { title, content } = req.body
+    const version = expectedVersion(req)
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'If-Match must be a document version' })
+    }
+
+    const saved = await withTransaction(client => saveDocument(client, id, { title, content }, req.user.id, {
+      version,
+      shareToken: shareTokenFrom(req)
+    }))
+
+    if (saved.denial) {
+      const { status: code, ...body } = saved.denial
+      return res.status(code).json(body)
+    }
+
+    // Live editors receive the change as a Yjs update
+    syncDocumentContent(id, saved.document.content, req.user.id)
+
+    setVersionHeader(res, saved.document)
+    res.json(saved.document)
+  } catch (error) {
+    console.error('Update document error:', error)
+    res.status(500).json({ error: 'Failed to update document' })
+  }
+})
+
+// Who has the document open right now, with their cursors and whether they are idle
+router.get('/:id/presence', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    res.json(getPresence(req.params.id))
+  } catch (error) {
+    console.error('Get document presence error:', error)
+    res.status(500).json({ error: 'Failed to fetch document presence' })
+  }
+})
+
+// Where the document is mentioned, in the documents, tasks and meetings the caller can see
+router.get('/:id/backlinks', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    res.json(await listBacklinks(pool, { type: 'document', id: req.params.id }, req.user.id))
+  } catch (error) {
+    console.error('Get document backlinks error:', error)
+    res.status(500).json({ error: 'Failed to fetch document backlinks' })
+  }
+})
+
+// List a document's saved versions, newest first
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    res.json(await listDocumentVersions(pool, req.params.id))
+  } catch (error) {
+    console.error('Get document versions error:', error)
+    res.status(500).json({ error: 'Failed to fetch document versions' })
+  }
+})
+
+// Get one version with its content
+router.get('/:id/versions/:versionId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    const version = await getDocumentVersion(pool, req.params.id, req.params.versionId)
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json(version)
+  } catch (error) {
+    console.error('Get document version error:', error)
+    res.status(500).json({ error: 'Failed to fetch document version' })
+  }
+})
+
+// Diff a version against another one (?against=), by default the version before it.
+// ?granularity=word gives word-level changes for prose kept on long lines.
+router.get('/:id/versions/:versionId/diff', authenticateToken, async (req, res) => {
+  const { against, granularity = 'line' } = req.query
+
+  if (!DIFF_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${DIFF_GRANULARITIES.join(', ')}` })
+  }
+
+  try {
+    if (!(await requireDocumentAccess(req, res, 'read'))) return
+
+    const { id, versionId } = req.params
+    const to = await getDocumentVersion(pool, id, versionId)
+
+    if (!to) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    const from = against ? await getDocumentVersion(pool, id, against) : await getPreviousVersion(pool, to)
+
+    if (against && !from) {
+      return res.status(404).json({ error: 'Version to compare against not found' })
+    }
+
+    const { content: fromContent = '', ...fromMeta } = from || {}
+    const { content: toContent, ...toMeta } = to
+
+    res.json({
+      from: from ? fromMeta : null,
+      to: toMeta,
+      title: from?.title !== to.title ? { from: from?.title ?? null, to: to.title } : null,
+      granularity,
+      ...diffText(fromContent || '', toContent || '', granularity)
+    })
+  } catch (error) {
+    console.error('Diff document versions error:', error)
+    res.status(500).json({ error: 'Failed to diff document versions' })
+  }
+})
+
+// Roll a document back to an earlier version. The rollback is saved as a new version,
+// so the versions after the restored one stay in the history.
+router.post('/:id/versions/:versionId/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id, versionId } = req.params
+    const version = expectedVersion(req)
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'If-Match must be a document version' })
+    }
+
+    const restored = await withTransaction(async (client) => {
+      const target = await getDocumentVersion(client, id, versionId)
+
+      if (!target) {
+        return { denial: { status: 404, error: 'Version not found' } }
+      }
+
+      return saveDocument(client, id, { title: target.title, content: target.content ?? '' }, req.user.id, {
+        version,
+        restoredFrom: target.id,
+        shareToken: shareTokenFrom(req)
+      })
+    })
+
+    if (restored.denial) {
+      const { status: code, ...body } = restored.denial
+      return res.status(code).json(body)
+    }
+
+    syncDocumentContent(id, restored.document.content, req.user.id)
+
+    setVersionHeader(res, restored.document)
+    res.json({ ...restored.document, restored_version: restored.version })
+  } catch (error) {
+    console.error('Restore document version error:', error)
+    res.status(500).json({ error: 'Failed to restore document version' })
+  }
+})
+
+// Move a document into a folder, or to the top level with folder_id: null. Owners may move
+// it anywhere they can edit; it then takes on the sharing of its new folder.
+router.post('/:id/move', authenticateToken, async (req, res) => {
+  const { folder_id = null } = req.body
+
+  try {
+    const { id } = req.params
+
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    const denial = await folderDestinationError(pool, folder_id, req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
 
     const result = await pool.query(
-      `UPDATE documents 
-       SET title = COALESCE($1, title),
-           content = COALESCE($2, content),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $3
-       RETURNING *`,
-      [title, content, id]
+      'UPDATE documents SET folder_id = $1 WHERE id = $2 RETURNING *',
+      [folder_id, id]
     )
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Document not found' })
     }
 
-    res.json(result.rows[0])
+    res.json({ ...result.rows[0], breadcrumbs: await getBreadcrumbs(pool, folder_id, req.user.id) })
   } catch (error) {
-    console.error('Update document error:', error)
-    res.status(500).json({ error: 'Failed to update document' })
+    console.error('Move document error:', error)
+    res.status(500).json({ error: 'Failed to move document' })
   }
 })
 
-// Delete a document
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Download a document as Markdown, standalone HTML or plain text
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  const format = req.query.format || 'md'
+
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+  }
+
   try {
-    const { id } = req.params
+    const access = await requireDocumentAccess(req, res, 'read')
+    if (!access) return
+
+    const file = exportDocument(access.document, format)
+
+    res.attachment(file.name)
+    res.type(file.type).send(file.body)
+  } catch (error) {
+    console.error('Export document error:', error)
+    res.status(500).json({ error: 'Failed to export document' })
+  }
+})
+
+// Who the document is shared with, for those who may manage its sharing. The creator is an
+// owner without a grant, and grants on its folders apply too without being listed here.
+router.get('/:id/permissions', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    res.json(await listPermissions(pool, { column: 'document_id', id: req.params.id }))
+  } catch (error) {
+    console.error('Get document permissions error:', error)
+    res.status(500).json({ error: 'Failed to fetch document permissions' })
+  }
+})
+
+// Grant a user or a team a role on the document, replacing any role they had
+router.put('/:id/permissions', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    const { permission, denial } = await grantPermission(
+      pool,
+      { column: 'document_id', id: req.params.id },
+      req.body,
+      req.user.id
+    )
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(permission)
+  } catch (error) {
+    console.error('Share document error:', error)
+    res.status(500).json({ error: 'Failed to share document' })
+  }
+})
+
+// Take back a grant
+router.delete('/:id/permissions/:permissionId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    if (!(await revokePermission(pool, { column: 'document_id', id: req.params.id }, req.params.permissionId))) {
+      return res.status(404).json({ error: 'Permission not found' })
+    }
+
+    res.json({ message: 'Permission removed successfully' })
+  } catch (error) {
+    console.error('Remove document permission error:', error)
+    res.status(500).json({ error: 'Failed to remove document permission' })
+  }
+})
+
+// Share links of the document, including expired and revoked ones
+router.get('/:id/links', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
 
     const result = await pool.query(
-      'DELETE FROM documents WHERE id = $1 RETURNING *',
-      [id]
+      `SELECT *, (revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP) as active
+       FROM document_share_links
+       WHERE document_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get share links error:', error)
+    res.status(500).json({ error: 'Failed to fetch share links' })
+  }
+})
+
+// Create a link that gives anyone signed in who has it a role on the document until it expires
+router.post('/:id/links', authenticateToken, async (req, res) => {
+  const { role = 'viewer', expires_in_hours = DEFAULT_LINK_HOURS } = req.body
+
+  if (!SHARED_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${SHARED_ROLES.join(', ')}` })
+  }
+
+  if (!Number.isInteger(expires_in_hours) || expires_in_hours < 1 || expires_in_hours > MAX_LINK_HOURS) {
+    return res.status(400).json({ error: `expires_in_hours must be between 1 and ${MAX_LINK_HOURS}` })
+  }
+
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    const result = await pool.query(
+      `INSERT INTO document_share_links (document_id, token, role, expires_at, created_by)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4), $5)
+       RETURNING *`,
+      [req.params.id, crypto.randomBytes(24).toString('base64url'), role, expires_in_hours, req.user.id]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'Could not create a unique link, please retry' })
+    }
+    console.error('Create share link error:', error)
+    res.status(500).json({ error: 'Failed to create share link' })
+  }
+})
+
+// Revoke a share link; it stops working right away
+router.delete('/:id/links/:linkId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    const result = await pool.query(
+      `UPDATE document_share_links
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND document_id = $2
+       RETURNING *`,
+      [req.params.linkId, req.params.id]
     )
 
     if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' })
+    }
+
+    res.json(result.rows[0])
+  } catch (error) {
+    console.error('Revoke share link error:', error)
+    res.status(500).json({ error: 'Failed to revoke share link' })
+  }
+})
+
+// Move a document to the trash; only owners may
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!(await requireDocumentAccess(req, res, 'manage'))) return
+
+    const document = await trashDocument(pool, id, req.user.id)
+
+    if (!document) {
       return res.status(404).json({ error: 'Document not found' })
     }
 
-    res.json({ message: 'Document deleted successfully' })
+    closeDocument(id)
+
+    res.json({ message: 'Document moved to the trash', document })
   } catch (error) {
     console.error('Delete document error:', error)
     res.status(500).json({ error: 'Failed to delete document' })
   }
 })
 
+// Take a document out of the trash; only owners may
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadDocumentAccess(pool, req.params.id, req.user.id, { includeDeleted: true })
+    const denial = documentAccessError(access, 'manage')
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const document = await withTransaction(client => restoreDocument(client, req.params.id))
+
+    if (!document) {
+      return res.status(409).json({ error: 'Document is not in the trash' })
+    }
+
+    setVersionHeader(res, document)
+    res.json(document)
+  } catch (error) {
+    console.error('Restore document error:', error)
+    res.status(500).json({ error: 'Failed to restore document' })
+  }
+})
+
+// Delete a document in the trash for good, with its history and comments
+router.delete('/:id/purge', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadDocumentAccess(pool, req.params.id, req.user.id, { includeDeleted: true })
+    const denial = documentAccessError(access, 'manage')
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (!(await purgeDocument(pool, req.params.id))) {
+      return res.status(409).json({ error: 'Only documents in the trash can be purged' })
+    }
+
+    res.json({ message: 'Document deleted permanently' })
+  } catch (error) {
+    console.error('Purge document error:', error)
+    res.status(500).json({ error: 'Failed to purge document' })
+  }
+})
+
 export default router
@@ -1,6 +1,8 @@
 import express from 'express'
 import jwt from 'jsonwebtoken'
+import pool from '../db/database.js'
 import { supabase } from '../services/supabaseClient.js'
+import { listBacklinks, recordMeetingReferences } from '../services/references.js'
 
 // Development bypass - Use real authentication if token exists
 const devBypass = async (req, res, next) => {
@@ -557,6 +559,13 @@ router.post('/:meetingId/chat', devBypass, async (req, res) => {
 
     if (error) throw error
 
+    // Mentions in public text messages become references from the meeting; the message is
+    // already sent, so failing to record them does not fail the request
+    if (pool && message_type === 'text' && !is_private) {
+      await recordMeetingReferences(pool, meetingId, content, req.user.id)
+        .catch(referenceError => console.error('Error recording chat references:', referenceError))
+    }
+
     res.status(201).json({ message })
   } catch (error) {
     console.error('Error sending chat message:', error)
@@ -597,6 +606,44 @@ router.get('/:meetingId/chat', devBypass, async (req, res) => {
   }
 })
 
+// Get where the meeting is mentioned, in the documents, tasks and meetings the user can see
+router.get('/:meetingId/backlinks', devBypass, async (req, res) => {
+  try {
+    const { meetingId } = req.params
+
+    const { data: meeting } = await supabase
+      .from('meetings')
+      .select('id, host_id, password')
+      .eq('meeting_id', meetingId)
+      .single()
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' })
+    }
+
+    // Password-protected meetings only show them to their host and participants
+    if (meeting.password && meeting.host_id !== req.user.id) {
+      const { data: participant } = await supabase
+        .from('meeting_participants')
+        .select('id')
+        .eq('meeting_id', meeting.id)
+        .eq('user_id', req.user.id)
+        .single()
+
+      if (!participant) {
+        return res.status(403).json({ error: 'You are not a participant in this meeting' })
+      }
+    }
+
+    const backlinks = pool ? await listBacklinks(pool, { type: 'meeting', id: meetingId }, req.user.id) : []
+
+    res.json({ backlinks })
+  } catch (error) {
+    console.error('Error fetching meeting backlinks:', error)
+    res.status(500).json({ error: 'Failed to fetch backlinks' })
+  }
+})
+
 // Send reaction
 router.post('/:meetingId/reactions', devBypass, async (req, res) => {
   try {
@@ -0,0 +1,226 @@
+import express from 'express'
+import pool from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { canAccessTask } from '../services/taskAccess.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import { isDay } from '../lib/dates.js'
+
+const router = express.Router()
+
+const MILESTONE_STATUSES = ['open', 'closed']
+
+// Task counts, story points and completion per milestone
+const MILESTONE_ROLLUP = `
+  SELECT m.*,
+         count(t.id)::int as task_count,
+         count(t.id) FILTER (WHERE t.status = 'done')::int as done_count,
+         COALESCE(sum(t.story_points), 0)::int as total_points,
+         COALESCE(sum(t.story_points) FILTER (WHERE t.status = 'done'), 0)::int as done_points,
+         CASE WHEN count(t.id) = 0 THEN NULL
+              ELSE round(count(t.id) FILTER (WHERE t.status = 'done') * 100.0 / count(t.id))::int END as progress
+  FROM milestones m
+  LEFT JOIN tasks t ON t.milestone_id = m.id AND t.deleted_at IS NULL`
+
+const validateMilestone = ({ start_date, due_date, status }) => {
+  for (const [field, value] of Object.entries({ start_date, due_date })) {
+    if (value !== undefined && value !== null && !isDay(value)) {
+      return `${field} must be a date in YYYY-MM-DD format`
+    }
+  }
+
+  if (start_date && due_date && due_date < start_date) {
+    return 'due_date cannot be before start_date'
+  }
+
+  if (status !== undefined && !MILESTONE_STATUSES.includes(status)) {
+    return `Status must be one of: ${MILESTONE_STATUSES.join(', ')}`
+  }
+
+  return null
+}
+
+// Load a milestone and the caller's role in its team
+const loadMilestone = async (id, userId) => {
+  const result = await pool.query('SELECT * FROM milestones WHERE id = $1', [id])
+  const milestone = result.rows[0]
+
+  return { milestone, role: milestone ? await getTeamRole(milestone.team_id, userId) : null }
+}
+
+const milestoneAccessError = ({ milestone, role }, action, userId) => {
+  if (!milestone) return { status: 404, error: 'Milestone not found' }
+  if (!role) return { status: 403, error: 'You are not a member of this team' }
+  if (!canAccessTask(milestone, role, action, userId)) {
+    return { status: 403, error: 'You do not have permission to change milestones in this team' }
+  }
+  return null
+}
+
+// Get the milestones of a team
+router.get('/', authenticateToken, async (req, res) => {
+  const { team_id } = req.query
+
+  if (!team_id) {
+    return res.status(400).json({ error: 'Team ID is required' })
+  }
+
+  if (!pool) {
+    return res.json([])
+  }
+
+  try {
+    if (!(await getTeamRole(team_id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    const result = await pool.query(
+      `${MILESTONE_ROLLUP}
+       WHERE m.team_id = $1
+       GROUP BY m.id
+       ORDER BY m.due_date ASC NULLS LAST, m.created_at ASC`,
+      [team_id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get milestones error:', error)
+    res.status(500).json({ error: 'Failed to fetch milestones' })
+  }
+})
+
+// Create a milestone
+router.post('/', authenticateToken, async (req, res) => {
+  const { team_id, name, description, start_date = null, due_date = null } = req.body
+
+  if (!team_id) {
+    return res.status(400).json({ error: 'Team ID is required' })
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Milestone name is required' })
+  }
+
+  const validationError = validateMilestone({ start_date, due_date })
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
+
+  try {
+    const role = await getTeamRole(team_id, req.user.id)
+
+    if (!canAccessTask({ team_id }, role, 'write', req.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to plan milestones in this team' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO milestones (team_id, name, description, start_date, due_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [team_id, name.trim(), description, start_date, due_date, req.user.id]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    console.error('Create milestone error:', error)
+    res.status(500).json({ error: 'Failed to create milestone' })
+  }
+})
+
+// Get a milestone with its tasks
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = milestoneAccessError(await loadMilestone(id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const milestone = await pool.query(`${MILESTONE_ROLLUP} WHERE m.id = $1 GROUP BY m.id`, [id])
+    const tasks = await pool.query(
+      `SELECT id, title, status, priority, assigned_to, story_points, sprint_id, due_date
+       FROM tasks
+       WHERE milestone_id = $1 AND deleted_at IS NULL
+       ORDER BY position ASC`,
+      [id]
+    )
+
+    res.json({ ...milestone.rows[0], tasks: tasks.rows })
+  } catch (error) {
+    console.error('Get milestone error:', error)
+    res.status(500).json({ error: 'Failed to fetch milestone' })
+  }
+})
+
+// Update a milestone
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, description, start_date, due_date, status } = req.body
+    const access = await loadMilestone(id, req.user.id)
+    const denial = milestoneAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Milestone name cannot be empty' })
+    }
+
+    const validationError = validateMilestone({ start_date, due_date, status })
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await pool.query(
+      `UPDATE milestones
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           start_date = CASE WHEN $3 THEN $4::date ELSE start_date END,
+           due_date = CASE WHEN $5 THEN $6::date ELSE due_date END,
+           status = COALESCE($7, status),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        name?.trim(), description,
+        start_date !== undefined, start_date || null,
+        due_date !== undefined, due_date || null,
+        status, id
+      ]
+    )
+
+    res.json(result.rows[0])
+  } catch (error) {
+    // Only one of the dates changed and now falls on the wrong side of the other
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'due_date cannot be before start_date' })
+    }
+    console.error('Update milestone error:', error)
+    res.status(500).json({ error: 'Failed to update milestone' })
+  }
+})
+
+// Delete a milestone; its tasks keep existing without one
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = milestoneAccessError(await loadMilestone(id, req.user.id), 'delete', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    await pool.query('DELETE FROM milestones WHERE id = $1', [id])
+
+    res.json({ message: 'Milestone deleted successfully' })
+  } catch (error) {
+    console.error('Delete milestone error:', error)
+    res.status(500).json({ error: 'Failed to delete milestone' })
+  }
+})
+
+export default router
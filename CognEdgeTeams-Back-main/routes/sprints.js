@@ -0,0 +1,365 @@
+import express from 'express'
+import pool, { withTransaction } from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { canAccessTask } from '../services/taskAccess.js'
+import { describeActor, emitTaskEvent } from '../services/taskEvents.js'
+import { triggerTaskAutomations } from '../services/automationEngine.js'
+import { findNextSprint, getBurndown } from '../services/taskPlanning.js'
+import { applyTaskUpdate } from '../services/taskUpdates.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import { daysBetween, formatLocalDay, isDay } from '../lib/dates.js'
+
+const router = express.Router()
+
+const MAX_SPRINT_DAYS = 366
+
+// Task counts and story point totals per sprint
+const SPRINT_ROLLUP = `
+  SELECT s.*,
+         count(t.id)::int as task_count,
+         count(t.id) FILTER (WHERE t.status = 'done')::int as done_count,
+         COALESCE(sum(t.story_points), 0)::int as total_points,
+         COALESCE(sum(t.story_points) FILTER (WHERE t.status = 'done'), 0)::int as done_points
+  FROM sprints s
+  LEFT JOIN tasks t ON t.sprint_id = s.id AND t.deleted_at IS NULL`
+
+// Validate the dates of a sprint
+const validateDates = (startDate, endDate) => {
+  if (!isDay(startDate) || !isDay(endDate)) {
+    return 'start_date and end_date must be dates in YYYY-MM-DD format'
+  }
+
+  const days = daysBetween(startDate, endDate)
+
+  if (days < 1 || days > MAX_SPRINT_DAYS) {
+    return `A sprint must last between 1 and ${MAX_SPRINT_DAYS} days`
+  }
+
+  return null
+}
+
+// Load a sprint and the caller's role in its team
+const loadSprint = async (db, id, userId, { forUpdate = false } = {}) => {
+  const result = await db.query(`SELECT * FROM sprints WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id])
+  const sprint = result.rows[0]
+
+  return { sprint, role: sprint ? await getTeamRole(sprint.team_id, userId, db) : null }
+}
+
+// Same shape as taskAccessError, for sprints
+const sprintAccessError = ({ sprint, role }, action, userId) => {
+  if (!sprint) return { status: 404, error: 'Sprint not found' }
+  if (!role) return { status: 403, error: 'You are not a member of this team' }
+  if (!canAccessTask(sprint, role, action, userId)) {
+    return { status: 403, error: 'You do not have permission to change sprints in this team' }
+  }
+  return null
+}
+
+// Get the sprints of a team
+router.get('/', authenticateToken, async (req, res) => {
+  const { team_id, status } = req.query
+
+  if (!team_id) {
+    return res.status(400).json({ error: 'Team ID is required' })
+  }
+
+  if (!pool) {
+    return res.json([])
+  }
+
+  try {
+    if (!(await getTeamRole(team_id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    const params = [team_id]
+    const conditions = ['s.team_id = $1']
+
+    if (status) {
+      params.push(status)
+      conditions.push(`s.status = $${params.length}`)
+    }
+
+    const result = await pool.query(
+      `${SPRINT_ROLLUP}
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY s.id
+       ORDER BY s.start_date ASC, s.created_at ASC`,
+      params
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get sprints error:', error)
+    res.status(500).json({ error: 'Failed to fetch sprints' })
+  }
+})
+
+// Create a sprint
+router.post('/', authenticateToken, async (req, res) => {
+  const { team_id, name, goal, start_date, end_date } = req.body
+
+  if (!team_id) {
+    return res.status(400).json({ error: 'Team ID is required' })
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Sprint name is required' })
+  }
+
+  const dateError = validateDates(start_date, end_date)
+
+  if (dateError) {
+    return res.status(400).json({ error: dateError })
+  }
+
+  try {
+    const role = await getTeamRole(team_id, req.user.id)
+
+    if (!canAccessTask({ team_id }, role, 'write', req.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to plan sprints in this team' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO sprints (team_id, name, goal, start_date, end_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [team_id, name.trim(), goal, start_date, end_date, req.user.id]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    console.error('Create sprint error:', error)
+    res.status(500).json({ error: 'Failed to create sprint' })
+  }
+})
+
+// Get a sprint with its tasks
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = sprintAccessError(await loadSprint(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const sprint = await pool.query(`${SPRINT_ROLLUP} WHERE s.id = $1 GROUP BY s.id`, [id])
+    const tasks = await pool.query(
+      `SELECT id, title, status, priority, assigned_to, story_points, position
+       FROM tasks
+       WHERE sprint_id = $1 AND deleted_at IS NULL
+       ORDER BY position ASC`,
+      [id]
+    )
+
+    res.json({ ...sprint.rows[0], tasks: tasks.rows })
+  } catch (error) {
+    console.error('Get sprint error:', error)
+    res.status(500).json({ error: 'Failed to fetch sprint' })
+  }
+})
+
+// Update a sprint's name, goal or dates
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, goal } = req.body
+    const access = await loadSprint(pool, id, req.user.id)
+    const denial = sprintAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (access.sprint.status === 'closed') {
+      return res.status(409).json({ error: 'Closed sprints cannot be changed' })
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Sprint name cannot be empty' })
+    }
+
+    const startDate = req.body.start_date ?? formatLocalDay(access.sprint.start_date)
+    const endDate = req.body.end_date ?? formatLocalDay(access.sprint.end_date)
+    const dateError = validateDates(startDate, endDate)
+
+    if (dateError) {
+      return res.status(400).json({ error: dateError })
+    }
+
+    const result = await pool.query(
+      `UPDATE sprints
+       SET name = COALESCE($1, name),
+           goal = COALESCE($2, goal),
+           start_date = $3,
+           end_date = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [name?.trim(), goal, startDate, endDate, id]
+    )
+
+    res.json(result.rows[0])
+  } catch (error) {
+    console.error('Update sprint error:', error)
+    res.status(500).json({ error: 'Failed to update sprint' })
+  }
+})
+
+// Delete a sprint; its tasks return to the backlog
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = sprintAccessError(await loadSprint(pool, id, req.user.id), 'delete', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    await pool.query('DELETE FROM sprints WHERE id = $1', [id])
+
+    res.json({ message: 'Sprint deleted successfully' })
+  } catch (error) {
+    console.error('Delete sprint error:', error)
+    res.status(500).json({ error: 'Failed to delete sprint' })
+  }
+})
+
+// Start a planned sprint; a team can only run one sprint at a time
+router.post('/:id/start', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const access = await loadSprint(pool, id, req.user.id)
+    const denial = sprintAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (access.sprint.status !== 'planned') {
+      return res.status(409).json({ error: 'Only planned sprints can be started' })
+    }
+
+    const result = await pool.query(
+      `UPDATE sprints SET status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    )
+
+    emitTaskEvent(req.app.get('io'), result.rows[0], 'sprint-started', {
+      sprint: result.rows[0],
+      actor: describeActor(req.user)
+    })
+
+    res.json(result.rows[0])
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'The team already has an active sprint' })
+    }
+    console.error('Start sprint error:', error)
+    res.status(500).json({ error: 'Failed to start sprint' })
+  }
+})
+
+// Close a sprint and carry its unfinished tasks over. carry_over_to names the
+// sprint that receives them, null sends them to the backlog, and leaving it out
+// picks the team's next planned sprint (or the backlog when there is none).
+router.post('/:id/close', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { carry_over_to } = req.body
+
+    const outcome = await withTransaction(async (client) => {
+      const access = await loadSprint(client, id, req.user.id, { forUpdate: true })
+      const denial = sprintAccessError(access, 'write', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      const { sprint } = access
+
+      if (sprint.status === 'closed') {
+        return { denial: { status: 409, error: 'Sprint is already closed' } }
+      }
+
+      let target = null
+
+      if (carry_over_to === undefined) {
+        target = await findNextSprint(client, sprint)
+      } else if (carry_over_to !== null) {
+        const result = await client.query('SELECT * FROM sprints WHERE id = $1', [carry_over_to])
+        target = result.rows[0]
+
+        if (!target || target.team_id !== sprint.team_id || target.id === sprint.id || target.status === 'closed') {
+          return { denial: { status: 400, error: 'carry_over_to must be another open sprint of the same team' } }
+        }
+      }
+
+      const unfinished = await client.query(
+        `SELECT * FROM tasks WHERE sprint_id = $1 AND status <> 'done' AND deleted_at IS NULL ORDER BY id FOR UPDATE`,
+        [id]
+      )
+
+      const moved = []
+
+      for (const task of unfinished.rows) {
+        moved.push(await applyTaskUpdate(client, task, { sprint_id: target?.id ?? null }, req.user.id))
+      }
+
+      const closed = await client.query(
+        `UPDATE sprints
+         SET status = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      )
+
+      return { sprint: closed.rows[0], target, moved }
+    })
+
+    if (outcome.denial) {
+      const { status: code, ...body } = outcome.denial
+      return res.status(code).json(body)
+    }
+
+    const payload = {
+      sprint: outcome.sprint,
+      carried_over_to: outcome.target,
+      tasks: outcome.moved.map(result => result.task)
+    }
+
+    const io = req.app.get('io')
+
+    emitTaskEvent(io, outcome.sprint, 'sprint-closed', { ...payload, actor: describeActor(req.user) })
+    triggerTaskAutomations(io, outcome.moved.map(result => ({ type: 'task_updated', task: result.task, before: result.before })))
+
+    res.json(payload)
+  } catch (error) {
+    console.error('Close sprint error:', error)
+    res.status(500).json({ error: 'Failed to close sprint' })
+  }
+})
+
+// Daily remaining story points for a sprint
+router.get('/:id/burndown', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const access = await loadSprint(pool, id, req.user.id)
+    const denial = sprintAccessError(access, 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(await getBurndown(pool, access.sprint))
+  } catch (error) {
+    console.error('Get sprint burndown error:', error)
+    res.status(500).json({ error: 'Failed to fetch burndown' })
+  }
+})
+
+export default router
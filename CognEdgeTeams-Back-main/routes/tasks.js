@@ -1,53 +1,709 @@
 import express from 'express'
-import pool from '../db/database.js'
+import pool, { withTransaction } from '../db/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { describeActor, emitTaskEvent } from '../services/taskEvents.js'
+import {
+  buildTaskAccessCondition,
+  canAccessTask,
+  getTaskRole,
+  loadTaskAccess,
+  taskAccessError
+} from '../services/taskAccess.js'
+import { getTeamRole } from '../services/teamAccess.js'
+import { findDependencyCycle, getTaskGraph, getTaskTitles } from '../services/taskGraph.js'
+import {
+  createSeries,
+  getSeries,
+  stopSeries,
+  updateSeriesRule,
+  upcomingOccurrences
+} from '../services/taskRecurrence.js'
+import { nextTaskPosition, positionBetween } from '../services/taskOrdering.js'
+import { applyTaskUpdate } from '../services/taskUpdates.js'
+import { createTask } from '../services/taskCreation.js'
+import {
+  DEFAULT_CHANGES_LIMIT,
+  MAX_CHANGES_LIMIT,
+  getTaskChanges,
+  isTaskDeleted,
+  parseSyncCursor
+} from '../services/taskSync.js'
+import { commitImport, validateImport } from '../services/taskImport.js'
+import { addManualEntry, getTaskTime, startTimer, stopTimer } from '../services/timeTracking.js'
+import { triggerTaskAutomations } from '../services/automationEngine.js'
+import { getTaskLabels } from '../services/taskLabels.js'
+import { listTrashedTasks, purgeTask, restoreTask, trashTasks } from '../services/trash.js'
+import { listBacklinks } from '../services/references.js'
+import { formatRRule, parseRecurrence } from '../lib/recurrence.js'
+import { expectedVersion, setVersionHeader } from '../lib/etag.js'
+import { isUuid } from '../lib/uuid.js'
+import {
+  MAX_IMPORT_ROWS,
+  formatTransferCsv,
+  readImportRecords,
+  resolveMapping,
+  toTransferRecord
+} from '../lib/taskTransfer.js'
+import {
+  applyTaskQuery,
+  buildTaskConditions,
+  buildTaskPagination,
+  paginateTaskRows,
+  parseTaskQuery
+} from '../lib/taskQuery.js'
 
 const router = express.Router()
 
-// Get all tasks
-router.get('/', authenticateToken, async (req, res) => {
-  if (!pool) {
-    return res.json([
-      {
-        id: '1',
-        title: 'Sample Task 1',
-        description: 'This is a sample task',
-        status: 'todo',
-        priority: 'medium',
-        created_by: req.user.id,
-        created_by_name: req.user.user_metadata?.full_name || 'Dev User',
-        created_at: new Date().toISOString(),
-        note: 'Database not configured - using mock data'
+const MAX_BULK_TASKS = 500
+const MAX_EXPORT_ROWS = 10000
+const MAX_TIME_ENTRY_HOURS = 24
+const MAX_SYNC_MUTATIONS = 100
+
+// Sample tasks served when the database is not configured
+const mockTasks = (user) => {
+  const now = Date.now()
+  const base = {
+    created_by: user.id,
+    created_by_name: user.user_metadata?.full_name || 'Dev User',
+    note: 'Database not configured - using mock data'
+  }
+
+  return [
+    { ...base, id: '1', title: 'Sample Task 1', description: 'This is a sample task', status: 'todo', priority: 'medium', position: 'i', created_at: new Date(now - 3 * 86400000).toISOString() },
+    { ...base, id: '2', title: 'Sample Task 2', description: 'Another sample task', status: 'in_progress', priority: 'high', position: 'r', created_at: new Date(now - 2 * 86400000).toISOString() },
+    { ...base, id: '3', title: 'Sample Task 3', description: 'A finished sample task', status: 'done', priority: 'low', position: 'v', created_at: new Date(now - 86400000).toISOString() }
+  ].map(task => ({ ...task, updated_at: task.created_at }))
+}
+
+// Validate due date and reminder settings from a request body
+const validateSchedule = ({ due_date, reminder_offsets }) => {
+  if (due_date !== undefined && due_date !== null && Number.isNaN(new Date(due_date).getTime())) {
+    return 'Invalid due_date'
+  }
+
+  if (reminder_offsets !== undefined && (
+    !Array.isArray(reminder_offsets) ||
+    !reminder_offsets.every(offset => Number.isInteger(offset) && offset > 0)
+  )) {
+    return 'reminder_offsets must be an array of positive minute offsets'
+  }
+
+  return null
+}
+
+// Validate the parts of a new task that need no database. Returns the parsed recurrence rule or an error.
+const validateNewTask = (body) => {
+  if (!body.title) {
+    return { error: 'Title is required' }
+  }
+
+  const { rule, error: recurrenceError } = body.recurrence
+    ? parseRecurrence(body.recurrence, body.due_date ? new Date(body.due_date) : new Date())
+    : {}
+
+  if (recurrenceError) {
+    return { error: recurrenceError }
+  }
+
+  const scheduleError = validateSchedule(body)
+  return scheduleError ? { error: scheduleError } : { rule }
+}
+
+// Fields clients may change through PUT /api/tasks/:id
+const EDITABLE_FIELDS = [
+  'title', 'description', 'status', 'priority', 'assigned_to', 'parent_id', 'due_date', 'reminder_offsets',
+  'labels', 'custom_fields', 'sprint_id', 'milestone_id', 'story_points'
+]
+
+const pickChanges = (body, fields = EDITABLE_FIELDS) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+)
+
+// Broadcast the outcome of createTask and let team automations react
+const emitTaskCreate = (io, created, actor) => {
+  emitTaskEvent(io, created.task, 'task-created', { task: created.task, actor })
+  triggerTaskAutomations(io, { type: 'task_created', task: created.task })
+  created.activity.forEach(entry => {
+    emitTaskEvent(io, created.task, 'task-activity', { task_id: created.task.id, activity: entry, actor })
+  })
+}
+
+// Broadcast the outcome of applyTaskUpdate to the task's rooms and let team automations react
+const emitTaskUpdate = (io, updated, actor) => {
+  emitTaskEvent(io, updated.task, 'task-updated', { task: updated.task, actor })
+  updated.activity.forEach(entry => {
+    emitTaskEvent(io, updated.task, 'task-activity', { task_id: updated.task.id, activity: entry, actor })
+  })
+
+  if (updated.nextInstance) {
+    emitTaskEvent(io, updated.nextInstance, 'task-created', { task: updated.nextInstance, actor: null })
+  }
+
+  triggerTaskAutomations(io, { type: 'task_updated', task: updated.task, before: updated.before })
+}
+
+const SYNC_MUTATION_TYPES = ['create', 'update', 'delete']
+
+const rejected = (code, error) => ({ result: { status: 'rejected', code, error } })
+
+// Apply one queued offline mutation in its own transaction so one failure does not undo the rest.
+// Returns the per-item result plus what to broadcast: the created, updated or deleted task.
+const applySyncMutation = async (mutation, user) => {
+  const { type, id, version = null } = mutation
+
+  if (!SYNC_MUTATION_TYPES.includes(type)) {
+    return rejected(400, `type must be one of: ${SYNC_MUTATION_TYPES.join(', ')}`)
+  }
+
+  if (type !== 'create' && !id) {
+    return rejected(400, 'id is required')
+  }
+
+  if (id !== undefined && !isUuid(id)) {
+    return rejected(400, 'id must be a UUID')
+  }
+
+  if (version !== null && !Number.isInteger(version)) {
+    return rejected(400, 'version must be an integer')
+  }
+
+  if (type === 'create') {
+    const input = mutation.task || {}
+    const { rule, error } = validateNewTask(input)
+
+    if (error) {
+      return rejected(400, error)
+    }
+
+    return withTransaction(async (client) => {
+      if (id) {
+        const existing = await client.query('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL', [id])
+        const task = existing.rows[0]
+
+        // A retried create whose first attempt went through but whose response was lost
+        if (task && task.created_by === user.id) {
+          return { result: { status: 'applied', task: { ...task, labels: await getTaskLabels(client, id) } } }
+        }
+
+        if (task) {
+          return rejected(409, 'A task with this id already exists')
+        }
+
+        if (await isTaskDeleted(client, id)) {
+          return { result: { status: 'deleted' } }
+        }
+      }
+
+      const created = await createTask(client, input, user.id, { id, rule })
+
+      if (created.denial) {
+        return rejected(created.denial.status, created.denial.error)
       }
-    ])
+
+      return { result: { status: 'applied', task: created.task }, created }
+    })
+  }
+
+  const changes = pickChanges(mutation.changes || {})
+
+  if (type === 'update') {
+    const scheduleError = validateSchedule(changes)
+
+    if (Object.keys(changes).length === 0) {
+      return rejected(400, 'No changes given')
+    }
+
+    if (scheduleError) {
+      return rejected(400, scheduleError)
+    }
   }
 
+  return withTransaction(async (client) => {
+    const access = await loadTaskAccess(client, id, user.id, { forUpdate: true })
+
+    if (!access.task) {
+      if (!(await isTaskDeleted(client, id))) {
+        return rejected(404, 'Task not found')
+      }
+      // Deleting twice is harmless; editing a deleted task is not
+      return { result: { status: type === 'delete' ? 'applied' : 'deleted' } }
+    }
+
+    const denial = taskAccessError(access, type === 'delete' ? 'delete' : 'write', user.id)
+
+    if (denial) {
+      return rejected(denial.status, denial.error)
+    }
+
+    if (type === 'delete') {
+      if (version !== null && version !== access.task.version) {
+        return { result: { status: 'conflict', error: 'Task has been modified by someone else', current: access.task } }
+      }
+
+      const trashed = await trashTasks(client, [id], user.id)
+      return { result: { status: 'applied' }, deleted: trashed.find(task => task.id === id) }
+    }
+
+    const updated = await applyTaskUpdate(client, access.task, changes, user.id, { expectedVersion: version })
+
+    if (updated.denial?.current) {
+      return { result: { status: 'conflict', error: updated.denial.error, current: updated.denial.current } }
+    }
+
+    if (updated.denial) {
+      return rejected(updated.denial.status, updated.denial.error)
+    }
+
+    return { result: { status: 'applied', task: updated.task }, updated }
+  })
+}
+
+// Get tasks with optional filters, sorting and cursor pagination
+router.get('/', authenticateToken, async (req, res) => {
   try {
+    const { filters, error: queryError } = parseTaskQuery(req.query, req.user)
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError })
+    }
+
+    if (!pool) {
+      return res.json(applyTaskQuery(mockTasks(req.user), filters))
+    }
+
+    for (const teamId of filters.team_id || []) {
+      if (!(await getTeamRole(teamId, req.user.id))) {
+        return res.status(403).json({ error: 'You are not a member of this team' })
+      }
+    }
+
+    const params = []
+    const access = buildTaskAccessCondition(req.user.id, params)
+    const page = buildTaskPagination(filters, params)
+    const conditions = [access, 't.deleted_at IS NULL', ...buildTaskConditions(filters, params), ...page.conditions]
+    params.push(page.limit)
+
     const result = await pool.query(
       `SELECT t.*, 
               creator.email as created_by_email,
               creator.raw_user_meta_data->>'full_name' as created_by_name,
               assignee.email as assigned_to_email,
-              assignee.raw_user_meta_data->>'full_name' as assigned_to_name
+              assignee.raw_user_meta_data->>'full_name' as assigned_to_name,
+              subtasks.total as subtask_count,
+              subtasks.done as subtask_done_count,
+              CASE WHEN subtasks.total = 0 THEN NULL
+                   ELSE round(subtasks.done * 100.0 / subtasks.total)::int END as progress,
+              ARRAY(
+                SELECT d.blocked_by_id FROM task_dependencies d
+                JOIN tasks b ON b.id = d.blocked_by_id
+                WHERE d.task_id = t.id AND b.deleted_at IS NULL
+              ) as blocked_by,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', l.id, 'name', l.name, 'color', l.color) ORDER BY lower(l.name))
+                FROM task_labels tl JOIN team_labels l ON l.id = tl.label_id
+                WHERE tl.task_id = t.id
+              ), '[]') as labels,
+              ${page.cursorColumn} as cursor_value
        FROM tasks t
        LEFT JOIN auth.users creator ON t.created_by = creator.id
        LEFT JOIN auth.users assignee ON t.assigned_to = assignee.id
-       ORDER BY t.created_at DESC`
+       LEFT JOIN LATERAL (
+         SELECT count(*)::int as total,
+                count(*) FILTER (WHERE c.status = 'done')::int as done
+         FROM tasks c
+         WHERE c.parent_id = t.id AND c.deleted_at IS NULL
+       ) subtasks ON true
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${page.orderBy}
+       LIMIT $${params.length}`,
+      params
     )
 
-    res.json(result.rows)
+    res.json(paginateTaskRows(result.rows, filters))
   } catch (error) {
     console.error('Get tasks error:', error)
     res.status(500).json({ error: 'Failed to fetch tasks' })
   }
 })
 
+// Get open tasks past their due date
+router.get('/overdue', authenticateToken, async (req, res) => {
+  if (!pool) {
+    return res.json([])
+  }
+
+  try {
+    const params = []
+    const access = buildTaskAccessCondition(req.user.id, params)
+    const conditions = [access, 't.deleted_at IS NULL', `t.status <> 'done'`, 't.due_date < CURRENT_TIMESTAMP']
+    const assignedTo = req.query.assigned_to === 'me' ? req.user.id : req.query.assigned_to
+    const teamId = req.query.team_id
+
+    if (assignedTo && !isUuid(assignedTo)) {
+      return res.status(400).json({ error: 'assigned_to must be a UUID or me' })
+    }
+
+    if (teamId && !isUuid(teamId)) {
+      return res.status(400).json({ error: 'team_id must be a UUID' })
+    }
+
+    if (assignedTo) {
+      params.push(assignedTo)
+      conditions.push(`t.assigned_to = $${params.length}`)
+    }
+
+    if (teamId) {
+      params.push(teamId)
+      conditions.push(`t.team_id = $${params.length}`)
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, 
+              assignee.email as assigned_to_email,
+              assignee.raw_user_meta_data->>'full_name' as assigned_to_name
+       FROM tasks t
+       LEFT JOIN auth.users assignee ON t.assigned_to = assignee.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY t.due_date ASC`,
+      params
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get overdue tasks error:', error)
+    res.status(500).json({ error: 'Failed to fetch overdue tasks' })
+  }
+})
+
+// Tasks in the trash the user can see, optionally of one team. Team trash with
+// documents too is at /api/teams/:id/trash.
+router.get('/trash', authenticateToken, async (req, res) => {
+  if (!pool) {
+    return res.json([])
+  }
+
+  try {
+    const teamId = req.query.team_id || null
+
+    if (teamId && !(await getTeamRole(teamId, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    res.json(await listTrashedTasks(pool, req.user.id, { teamId }))
+  } catch (error) {
+    console.error('Get trashed tasks error:', error)
+    res.status(500).json({ error: 'Failed to fetch trashed tasks' })
+  }
+})
+
+// Export tasks matching the list filters as CSV or JSON in the import format
+router.get('/export', authenticateToken, async (req, res) => {
+  const format = req.query.format || 'csv'
+
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv or json' })
+  }
+
+  const send = (records) => {
+    res.attachment(`tasks.${format}`)
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(formatTransferCsv(records))
+    }
+
+    res.json(records)
+  }
+
+  try {
+    const { filters, error: queryError } = parseTaskQuery(req.query, req.user)
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError })
+    }
+
+    if (!pool) {
+      const { tasks } = applyTaskQuery(mockTasks(req.user), { ...filters, cursor: null, limit: MAX_EXPORT_ROWS })
+      return send(tasks.map(toTransferRecord))
+    }
+
+    for (const teamId of filters.team_id || []) {
+      if (!(await getTeamRole(teamId, req.user.id))) {
+        return res.status(403).json({ error: 'You are not a member of this team' })
+      }
+    }
+
+    // Exports are not paginated, so only the sort order is taken from the query
+    const params = []
+    const access = buildTaskAccessCondition(req.user.id, params)
+    const conditions = [access, 't.deleted_at IS NULL', ...buildTaskConditions(filters, params)]
+    const { orderBy } = buildTaskPagination({ ...filters, cursor: null }, params)
+    params.push(MAX_EXPORT_ROWS)
+
+    const result = await pool.query(
+      `SELECT t.*, assignee.email as assigned_to_email
+       FROM tasks t
+       LEFT JOIN auth.users assignee ON t.assigned_to = assignee.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length}`,
+      params
+    )
+
+    send(result.rows.map(toTransferRecord))
+  } catch (error) {
+    console.error('Export tasks error:', error)
+    res.status(500).json({ error: 'Failed to export tasks' })
+  }
+})
+
+// Import tasks from CSV or JSON. Every row is validated first; nothing is
+// written on a dry run or when any row has problems.
+router.post('/import', authenticateToken, async (req, res) => {
+  const { format, data, mapping, team_id, dry_run = false } = req.body
+  const { records, firstRow, error: readError } = readImportRecords(format, data)
+
+  if (readError) {
+    return res.status(400).json({ error: readError })
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} tasks can be imported at once` })
+  }
+
+  const { mapping: columns, error: mappingError } = resolveMapping(records, mapping)
+
+  if (mappingError) {
+    return res.status(400).json({ error: mappingError })
+  }
+
+  if (!team_id) {
+    return res.status(400).json({ error: 'Team ID is required' })
+  }
+
+  try {
+    const role = await getTeamRole(team_id, req.user.id)
+
+    if (!canAccessTask({ team_id, created_by: req.user.id }, role, 'write', req.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to create tasks in this team' })
+    }
+
+    const { tasks, errors } = await validateImport(pool, records, columns, firstRow, team_id)
+    const report = {
+      dry_run: Boolean(dry_run),
+      mapping: columns,
+      total: records.length,
+      valid: records.length - new Set(errors.map(problem => problem.row)).size,
+      errors
+    }
+
+    if (dry_run) {
+      return res.json({ ...report, preview: tasks })
+    }
+
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Import has invalid rows; nothing was imported', ...report })
+    }
+
+    const imported = await withTransaction(client => commitImport(client, tasks, team_id, req.user.id))
+
+    emitTaskEvent(req.app.get('io'), imported[0], 'tasks-imported', { tasks: imported, actor: describeActor(req.user) })
+
+    res.status(201).json({ ...report, imported: imported.length, tasks: imported })
+  } catch (error) {
+    console.error('Import tasks error:', error)
+    res.status(500).json({ error: 'Failed to import tasks' })
+  }
+})
+
+// Tasks created, updated and deleted since a sync cursor. Clients page with the returned cursor
+// while has_more is true, keep the last one and pass it as ?since= after reconnecting.
+router.get('/changes', authenticateToken, async (req, res) => {
+  const { cursor, error } = parseSyncCursor(req.query.since)
+  const limit = req.query.limit === undefined ? DEFAULT_CHANGES_LIMIT : Number(req.query.limit)
+
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHANGES_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_CHANGES_LIMIT}` })
+  }
+
+  if (!pool) {
+    return res.json({ created: mockTasks(req.user), updated: [], deleted: [], cursor: null, has_more: false })
+  }
+
+  try {
+    res.json(await getTaskChanges(pool, req.user.id, cursor, limit))
+  } catch (error) {
+    console.error('Get task changes error:', error)
+    res.status(500).json({ error: 'Failed to fetch task changes' })
+  }
+})
+
+// Apply mutations queued while offline, in order, each with its own result:
+// applied, conflict (with the current task), deleted (the task is gone) or rejected
+router.post('/sync', authenticateToken, async (req, res) => {
+  const { mutations } = req.body
+
+  if (!Array.isArray(mutations) || mutations.length === 0) {
+    return res.status(400).json({ error: 'mutations must be a non-empty array' })
+  }
+
+  if (mutations.length > MAX_SYNC_MUTATIONS) {
+    return res.status(400).json({ error: `At most ${MAX_SYNC_MUTATIONS} mutations can be synced at once` })
+  }
+
+  const io = req.app.get('io')
+  const actor = describeActor(req.user)
+  const results = []
+
+  for (const mutation of mutations) {
+    const { op_id = null, type = null, id = null } = mutation || {}
+    let outcome
+
+    try {
+      outcome = await applySyncMutation(mutation || {}, req.user)
+    } catch (error) {
+      // Two clients racing to create the same id
+      if (error.code === '23505') {
+        outcome = rejected(409, 'A task with this id already exists')
+      } else {
+        console.error('Sync task mutation error:', error)
+        outcome = rejected(500, 'Failed to apply mutation')
+      }
+    }
+
+    if (outcome.created) emitTaskCreate(io, outcome.created, actor)
+    if (outcome.updated) emitTaskUpdate(io, outcome.updated, actor)
+    if (outcome.deleted) emitTaskEvent(io, outcome.deleted, 'task-deleted', { task: outcome.deleted, actor })
+
+    results.push({ op_id, type, id: outcome.result.task?.id || id, ...outcome.result })
+  }
+
+  res.json({ results })
+})
+
+// Move, reassign, reprioritise or trash many tasks in one transaction
+router.post('/bulk', authenticateToken, async (req, res) => {
+  const { task_ids, changes = {}, delete: remove = false } = req.body
+  const bulkChanges = pickChanges(changes, ['status', 'priority', 'assigned_to'])
+
+  if (!Array.isArray(task_ids) || task_ids.length === 0) {
+    return res.status(400).json({ error: 'task_ids must be a non-empty array' })
+  }
+
+  if (task_ids.length > MAX_BULK_TASKS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_TASKS} tasks can be changed at once` })
+  }
+
+  if (!remove && Object.keys(bulkChanges).length === 0) {
+    return res.status(400).json({ error: 'Provide changes (status, priority, assigned_to) or delete: true' })
+  }
+
+  try {
+    const ids = [...new Set(task_ids)]
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock in a stable order so concurrent bulk requests cannot deadlock
+      const locked = await client.query(
+        'SELECT * FROM tasks WHERE id = ANY($1) AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+        [ids]
+      )
+      const byId = Object.fromEntries(locked.rows.map(task => [task.id, task]))
+      const action = remove ? 'delete' : 'write'
+      const roles = {}
+
+      for (const id of ids) {
+        const task = byId[id]
+        const key = task?.team_id || task?.id
+
+        if (task && !(key in roles)) {
+          roles[key] = await getTaskRole(task, req.user.id, client)
+        }
+
+        const denial = taskAccessError({ task, role: task && roles[key] }, action, req.user.id)
+
+        if (denial) {
+          return { denial: { ...denial, task_id: id } }
+        }
+      }
+
+      if (remove) {
+        return { deleted: await trashTasks(client, ids, req.user.id), updated: [] }
+      }
+
+      const updated = []
+
+      for (const id of ids) {
+        const movesColumn = bulkChanges.status && bulkChanges.status !== byId[id].status
+        const position = movesColumn ? await nextTaskPosition(client, byId[id]) : undefined
+        const result = await applyTaskUpdate(client, byId[id], { ...bulkChanges, position }, req.user.id)
+
+        if (result.denial) {
+          return { denial: { ...result.denial, task_id: id } }
+        }
+        updated.push(result)
+      }
+
+      return { deleted: [], updated }
+    })
+
+    if (outcome.denial) {
+      const { status: code, ...body } = outcome.denial
+      return res.status(code).json(body)
+    }
+
+    // One consolidated event per room instead of one per task
+    const io = req.app.get('io')
+    const actor = describeActor(req.user)
+    const tasks = outcome.updated.map(result => result.task)
+    const groups = new Map()
+
+    // Tasks without a team have no shared room, so each gets its own event
+    const groupFor = (task) => {
+      const key = task.team_id || `task:${task.id}`
+      if (!groups.has(key)) groups.set(key, { task, tasks: [], deleted_ids: [] })
+      return groups.get(key)
+    }
+
+    tasks.forEach(task => groupFor(task).tasks.push(task))
+    outcome.deleted.forEach(task => groupFor(task).deleted_ids.push(task.id))
+
+    groups.forEach(group => {
+      emitTaskEvent(io, group.task, 'tasks-bulk-updated', { tasks: group.tasks, deleted_ids: group.deleted_ids, actor })
+    })
+
+    outcome.updated
+      .filter(result => result.nextInstance)
+      .forEach(result => emitTaskEvent(io, result.nextInstance, 'task-created', { task: result.nextInstance, actor: null }))
+
+    triggerTaskAutomations(io, outcome.updated.map(result => ({ type: 'task_updated', task: result.task, before: result.before })))
+
+    res.json({ tasks, deleted_ids: outcome.deleted.map(task => task.id) })
+  } catch (error) {
+    console.error('Bulk task update error:', error)
+    res.status(500).json({ error: 'Failed to update tasks' })
+  }
+})
+
 // Create a new task
 router.post('/', authenticateToken, async (req, res) => {
-  const { title, description, status = 'todo', priority = 'medium', assigned_to } = req.body
-  
-  if (!title) {
-    return res.status(400).json({ error: 'Title is required' })
+  const {
+    title,
+    description,
+    status = 'todo',
+    priority = 'medium',
+    assigned_to,
+    team_id,
+    parent_id,
+    due_date = null,
+    reminder_offsets = []
+  } = req.body
+  const { rule, error: inputError } = validateNewTask(req.body)
+
+  if (inputError) {
+    return res.status(400).json({ error: inputError })
   }
 
   if (!pool) {
@@ -58,6 +714,10 @@ router.post('/', authenticateToken, async (req, res) => {
       status,
       priority,
       assigned_to,
+      team_id,
+      parent_id,
+      due_date,
+      reminder_offsets,
       created_by: req.user.id,
       created_at: new Date().toISOString(),
       note: 'Database not configured - task not persisted'
@@ -65,70 +725,683 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 
   try {
-    const created_by = req.user.id
+    const created = await withTransaction(client => createTask(client, req.body, req.user.id, { rule }))
 
-    const result = await pool.query(
-      `INSERT INTO tasks (title, description, status, priority, assigned_to, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [title, description, status, priority, assigned_to, created_by]
-    )
+    if (created.denial) {
+      const { status: code, ...body } = created.denial
+      return res.status(code).json(body)
+    }
 
-    res.status(201).json(result.rows[0])
+    emitTaskCreate(req.app.get('io'), created, describeActor(req.user))
+
+    setVersionHeader(res, created.task)
+    res.status(201).json(created.task)
   } catch (error) {
     console.error('Create task error:', error)
     res.status(500).json({ error: 'Failed to create task' })
   }
 })
 
-// Update a task
-router.put('/:id', authenticateToken, async (req, res) => {
+// Move a task within the board: drop it between two neighbours, optionally into another status column
+router.post('/:id/move', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params
-    const { title, description, status, priority, assigned_to } = req.body
-
-    const result = await pool.query(
-      `UPDATE tasks 
-       SET title = COALESCE($1, title),
-           description = COALESCE($2, description),
-           status = COALESCE($3, status),
-           priority = COALESCE($4, priority),
-           assigned_to = COALESCE($5, assigned_to),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6
-       RETURNING *`,
-      [title, description, status, priority, assigned_to, id]
-    )
+    const { before_id, after_id } = req.body
+    const version = expectedVersion(req)
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Task not found' })
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'If-Match must be a task version' })
     }
 
-    res.json(result.rows[0])
-  } catch (error) {
-    console.error('Update task error:', error)
-    res.status(500).json({ error: 'Failed to update task' })
-  }
-})
+    const updated = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true })
+      const denial = taskAccessError(access, 'write', req.user.id)
 
-// Delete a task
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
+      if (denial) {
+        return { denial }
+      }
+
+      const { position, error } = await positionBetween(client, access.task, before_id, after_id)
+
+      if (error) {
+        return { denial: { status: 409, error } }
+      }
+
+      return applyTaskUpdate(client, access.task, { ...pickChanges(req.body, ['status']), position }, req.user.id, {
+        expectedVersion: version
+      })
+    })
+
+    if (updated.denial) {
+      const { status: code, ...body } = updated.denial
+      return res.status(code).json(body)
+    }
+
+    emitTaskUpdate(req.app.get('io'), updated, describeActor(req.user))
+
+    setVersionHeader(res, updated.task)
+    res.json(updated.task)
+  } catch (error) {
+    console.error('Move task error:', error)
+    res.status(500).json({ error: 'Failed to move task' })
+  }
+})
+
+// Get a single task; the ETag carries its version for conditional updates
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const access = await loadTaskAccess(pool, id, req.user.id)
+    const denial = taskAccessError(access, 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const task = { ...access.task, labels: await getTaskLabels(pool, id) }
+
+    setVersionHeader(res, task)
+    res.json(task)
+  } catch (error) {
+    console.error('Get task error:', error)
+    res.status(500).json({ error: 'Failed to fetch task' })
+  }
+})
+
+// Update a task. Sending If-Match (or a version field) turns a stale write into a 409.
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const scheduleError = validateSchedule(req.body)
+    const version = expectedVersion(req)
+
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError })
+    }
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'If-Match must be a task version' })
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true })
+      const denial = taskAccessError(access, 'write', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      return applyTaskUpdate(client, access.task, pickChanges(req.body), req.user.id, { expectedVersion: version })
+    })
+
+    if (updated.denial) {
+      const { status: code, ...body } = updated.denial
+      return res.status(code).json(body)
+    }
+
+    emitTaskUpdate(req.app.get('io'), updated, describeActor(req.user))
+
+    setVersionHeader(res, updated.task)
+    res.json(updated.task)
+  } catch (error) {
+    console.error('Update task error:', error)
+    res.status(500).json({ error: 'Failed to update task' })
+  }
+})
+
+// Move a task and its subtasks to the trash
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const trashed = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true })
+      const denial = taskAccessError(access, 'delete', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      return { tasks: await trashTasks(client, [id], req.user.id) }
+    })
+
+    if (trashed.denial) {
+      return res.status(trashed.denial.status).json({ error: trashed.denial.error })
+    }
+
+    const task = trashed.tasks.find(row => row.id === id)
+
+    emitTaskEvent(req.app.get('io'), task, 'task-deleted', {
+      task,
+      actor: describeActor(req.user)
+    })
+
+    res.json({ message: 'Task moved to the trash', task })
+  } catch (error) {
+    console.error('Delete task error:', error)
+    res.status(500).json({ error: 'Failed to delete task' })
+  }
+})
+
+// Take a task out of the trash, with the subtasks that went with it
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const restored = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true, includeDeleted: true })
+      const denial = taskAccessError(access, 'delete', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      if (!access.task.deleted_at) {
+        return { denial: { status: 409, error: 'Task is not in the trash' } }
+      }
+
+      return restoreTask(client, access.task)
+    })
+
+    if (restored.denial) {
+      return res.status(restored.denial.status).json({ error: restored.denial.error })
+    }
+
+    const io = req.app.get('io')
+    const actor = describeActor(req.user)
+
+    for (const task of [restored.task, ...restored.subtasks]) {
+      emitTaskEvent(io, task, 'task-created', { task, actor })
+    }
+
+    setVersionHeader(res, restored.task)
+    res.json({ ...restored.task, restored_subtasks: restored.subtasks.length })
+  } catch (error) {
+    console.error('Restore task error:', error)
+    res.status(500).json({ error: 'Failed to restore task' })
+  }
+})
+
+// Delete a task in the trash for good, with its subtasks
+router.delete('/:id/purge', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const outcome = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true, includeDeleted: true })
+      const denial = taskAccessError(access, 'delete', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      if (!(await purgeTask(client, id))) {
+        return { denial: { status: 409, error: 'Only tasks in the trash can be purged' } }
+      }
+
+      return {}
+    })
+
+    if (outcome.denial) {
+      return res.status(outcome.denial.status).json({ error: outcome.denial.error })
+    }
+
+    res.json({ message: 'Task deleted permanently' })
+  } catch (error) {
+    console.error('Purge task error:', error)
+    res.status(500).json({ error: 'Failed to purge task' })
+  }
+})
+
+// Get comments for a task
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const result = await pool.query(
+      `SELECT c.*, 
+              u.email as user_email,
+              u.raw_user_meta_data->>'full_name' as user_name
+       FROM task_comments c
+       LEFT JOIN auth.users u ON c.user_id = u.id
+       WHERE c.task_id = $1
+       ORDER BY c.created_at ASC`,
+      [id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get task comments error:', error)
+    res.status(500).json({ error: 'Failed to fetch task comments' })
+  }
+})
+
+// Add a comment to a task
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+  try {
     const { id } = req.params
+    const content = req.body.content?.trim()
+
+    if (!content) {
+      return res.status(400).json({ error: 'Comment content is required' })
+    }
+
+    const access = await loadTaskAccess(pool, id, req.user.id)
+    const denial = taskAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
 
     const result = await pool.query(
-      'DELETE FROM tasks WHERE id = $1 RETURNING *',
+      `INSERT INTO task_comments (task_id, user_id, content)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [id, req.user.id, content]
+    )
+
+    const comment = {
+      ...result.rows[0],
+      user_email: req.user.email,
+      user_name: req.user.user_metadata?.full_name || null
+    }
+
+    emitTaskEvent(req.app.get('io'), access.task, 'task-comment-added', { task_id: id, comment, actor: describeActor(req.user) })
+
+    res.status(201).json(comment)
+  } catch (error) {
+    console.error('Create task comment error:', error)
+    res.status(500).json({ error: 'Failed to add task comment' })
+  }
+})
+
+// Get the activity timeline for a task
+router.get('/:id/activity', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const result = await pool.query(
+      `SELECT a.*, 
+              u.email as actor_email,
+              u.raw_user_meta_data->>'full_name' as actor_name
+       FROM task_activity a
+       LEFT JOIN auth.users u ON a.actor_id = u.id
+       WHERE a.task_id = $1
+       ORDER BY a.created_at ASC`,
       [id]
     )
 
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get task activity error:', error)
+    res.status(500).json({ error: 'Failed to fetch task activity' })
+  }
+})
+
+// Where the task is mentioned, in the documents, tasks and meetings the caller can see
+router.get('/:id/backlinks', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(await listBacklinks(pool, { type: 'task', id }, req.user.id))
+  } catch (error) {
+    console.error('Get task backlinks error:', error)
+    res.status(500).json({ error: 'Failed to fetch task backlinks' })
+  }
+})
+
+// Mark a task as blocked by another task
+router.post('/:id/dependencies', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { blocked_by_id } = req.body
+
+    if (!blocked_by_id) {
+      return res.status(400).json({ error: 'blocked_by_id is required' })
+    }
+
+    const access = await loadTaskAccess(pool, id, req.user.id)
+    const denial = taskAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const blocker = await loadTaskAccess(pool, blocked_by_id, req.user.id)
+
+    if (!blocker.task || blocker.task.team_id !== access.task.team_id) {
+      return res.status(400).json({ error: 'Blocking task must exist in the same team' })
+    }
+
+    const result = await withTransaction(async (client) => {
+      // Serialize dependency changes per team so concurrent inserts cannot form a cycle
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`task-deps:${access.task.team_id}`])
+
+      const cycle = await findDependencyCycle(client, id, blocked_by_id)
+
+      if (cycle) {
+        return { cycle }
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO task_dependencies (task_id, blocked_by_id, created_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (task_id, blocked_by_id) DO NOTHING
+         RETURNING *`,
+        [id, blocked_by_id, req.user.id]
+      )
+
+      return { dependency: inserted.rows[0] }
+    })
+
+    if (result.cycle) {
+      const titles = await getTaskTitles(pool, result.cycle)
+
+      return res.status(409).json({
+        error: `Dependency would create a cycle: ${result.cycle.map(taskId => titles[taskId] || taskId).join(' → ')}`,
+        cycle: result.cycle
+      })
+    }
+
+    if (!result.dependency) {
+      return res.status(409).json({ error: 'Dependency already exists' })
+    }
+
+    res.status(201).json(result.dependency)
+  } catch (error) {
+    console.error('Create task dependency error:', error)
+    res.status(500).json({ error: 'Failed to create task dependency' })
+  }
+})
+
+// Remove a "blocked by" dependency
+router.delete('/:id/dependencies/:blockedById', authenticateToken, async (req, res) => {
+  try {
+    const { id, blockedById } = req.params
+
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const result = await pool.query(
+      'DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by_id = $2 RETURNING *',
+      [id, blockedById]
+    )
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Task not found' })
+      return res.status(404).json({ error: 'Dependency not found' })
     }
 
-    res.json({ message: 'Task deleted successfully' })
+    res.json({ message: 'Dependency removed successfully' })
   } catch (error) {
-    console.error('Delete task error:', error)
-    res.status(500).json({ error: 'Failed to delete task' })
+    console.error('Delete task dependency error:', error)
+    res.status(500).json({ error: 'Failed to remove task dependency' })
+  }
+})
+
+// Get the dependency and subtask graph around a task
+router.get('/:id/graph', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(await getTaskGraph(pool, id))
+  } catch (error) {
+    console.error('Get task graph error:', error)
+    res.status(500).json({ error: 'Failed to fetch task graph' })
+  }
+})
+
+// Get the recurrence rule of a task and its upcoming occurrences
+router.get('/:id/recurrence', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const count = Math.min(parseInt(req.query.count, 10) || 5, 50)
+
+    const access = await loadTaskAccess(pool, id, req.user.id)
+    const denial = taskAccessError(access, 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const series = access.task.series_id && await getSeries(pool, access.task.series_id)
+
+    if (!series) {
+      return res.status(404).json({ error: 'Task does not recur' })
+    }
+
+    res.json({
+      ...series,
+      rrule: formatRRule(series.rule),
+      upcoming: upcomingOccurrences(series, count)
+    })
+  } catch (error) {
+    console.error('Get task recurrence error:', error)
+    res.status(500).json({ error: 'Failed to fetch task recurrence' })
+  }
+})
+
+// Start or edit the recurrence of a task
+router.put('/:id/recurrence', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const result = await withTransaction(async (client) => {
+      const access = await loadTaskAccess(client, id, req.user.id, { forUpdate: true })
+      const denial = taskAccessError(access, 'write', req.user.id)
+
+      if (denial) {
+        return { denial }
+      }
+
+      const existing = access.task.series_id && await getSeries(client, access.task.series_id)
+      const start = existing ? existing.starts_at : (access.task.due_date || access.task.created_at)
+      const { rule, error } = parseRecurrence(req.body.recurrence, start)
+
+      if (error) {
+        return { denial: { status: 400, error } }
+      }
+
+      const series = existing
+        ? await updateSeriesRule(client, existing.id, rule)
+        : await createSeries(client, access.task, rule, req.user.id)
+
+      return { series }
+    })
+
+    if (result.denial) {
+      return res.status(result.denial.status).json({ error: result.denial.error })
+    }
+
+    res.json({
+      ...result.series,
+      rrule: formatRRule(result.series.rule),
+      upcoming: upcomingOccurrences(result.series, 5)
+    })
+  } catch (error) {
+    console.error('Update task recurrence error:', error)
+    res.status(500).json({ error: 'Failed to update task recurrence' })
+  }
+})
+
+// Stop a recurring series; tasks already generated are kept
+router.delete('/:id/recurrence', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const access = await loadTaskAccess(pool, id, req.user.id)
+    const denial = taskAccessError(access, 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    if (!access.task.series_id) {
+      return res.status(404).json({ error: 'Task does not recur' })
+    }
+
+    await stopSeries(pool, access.task.series_id)
+
+    res.json({ message: 'Recurrence stopped successfully' })
+  } catch (error) {
+    console.error('Stop task recurrence error:', error)
+    res.status(500).json({ error: 'Failed to stop task recurrence' })
+  }
+})
+
+// Time logged against a task, in total and per user
+router.get('/:id/time', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'read', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    res.json(await getTaskTime(pool, id))
+  } catch (error) {
+    console.error('Get task time error:', error)
+    res.status(500).json({ error: 'Failed to fetch task time' })
+  }
+})
+
+// Start a timer on a task; a timer running on another task is stopped first
+router.post('/:id/time/start', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const { entry, stopped, alreadyRunning } = await withTransaction(client => (
+      startTimer(client, id, req.user.id, req.body.note || null)
+    ))
+
+    res.status(alreadyRunning ? 200 : 201).json({ entry, stopped })
+  } catch (error) {
+    // Another request started a timer for this user at the same moment
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A timer is already running' })
+    }
+    console.error('Start task timer error:', error)
+    res.status(500).json({ error: 'Failed to start timer' })
+  }
+})
+
+// Stop the caller's timer on a task
+router.post('/:id/time/stop', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const entry = await stopTimer(pool, id, req.user.id)
+
+    if (!entry) {
+      return res.status(404).json({ error: 'No timer is running on this task' })
+    }
+
+    res.json(entry)
+  } catch (error) {
+    console.error('Stop task timer error:', error)
+    res.status(500).json({ error: 'Failed to stop timer' })
+  }
+})
+
+// Log time manually, from started_at to ended_at or for duration_minutes
+router.post('/:id/time', authenticateToken, async (req, res) => {
+  const { started_at, ended_at, duration_minutes, note = null } = req.body
+  const startedAt = new Date(started_at)
+
+  if (!started_at || Number.isNaN(startedAt.getTime())) {
+    return res.status(400).json({ error: 'started_at must be a valid date' })
+  }
+
+  if ((ended_at === undefined) === (duration_minutes === undefined)) {
+    return res.status(400).json({ error: 'Provide either ended_at or duration_minutes' })
+  }
+
+  if (duration_minutes !== undefined && (!Number.isInteger(duration_minutes) || duration_minutes < 1)) {
+    return res.status(400).json({ error: 'duration_minutes must be a positive integer' })
+  }
+
+  const endedAt = ended_at !== undefined
+    ? new Date(ended_at)
+    : new Date(startedAt.getTime() + duration_minutes * 60000)
+
+  if (Number.isNaN(endedAt.getTime()) || endedAt <= startedAt) {
+    return res.status(400).json({ error: 'ended_at must be a valid date after started_at' })
+  }
+
+  if (endedAt - startedAt > MAX_TIME_ENTRY_HOURS * 3600000) {
+    return res.status(400).json({ error: `A time entry can cover at most ${MAX_TIME_ENTRY_HOURS} hours` })
+  }
+
+  if (endedAt > new Date()) {
+    return res.status(400).json({ error: 'Time cannot be logged in the future' })
+  }
+
+  try {
+    const { id } = req.params
+    const denial = taskAccessError(await loadTaskAccess(pool, id, req.user.id), 'write', req.user.id)
+
+    if (denial) {
+      return res.status(denial.status).json({ error: denial.error })
+    }
+
+    const entry = await addManualEntry(pool, id, req.user.id, { startedAt, endedAt, note })
+
+    res.status(201).json(entry)
+  } catch (error) {
+    console.error('Log task time error:', error)
+    res.status(500).json({ error: 'Failed to log time' })
+  }
+})
+
+// Delete one of the caller's own time entries
+router.delete('/:id/time/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const { id, entryId } = req.params
+
+    const result = await pool.query(
+      'DELETE FROM task_time_entries WHERE id = $1 AND task_id = $2 AND user_id = $3 RETURNING *',
+      [entryId, id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Time entry not found' })
+    }
+
+    res.json({ message: 'Time entry deleted successfully' })
+  } catch (error) {
+    console.error('Delete time entry error:', error)
+    res.status(500).json({ error: 'Failed to delete time entry' })
   }
 })
 
@@ -1,9 +1,26 @@
 import express from 'express'
-import pool from '../db/database.js'
+import pool, { withTransaction } from '../db/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { TEAM_ROLES, getTeamRole } from '../services/teamAccess.js'
+import { listTrashedDocuments, listTrashedTasks } from '../services/trash.js'
+import { parseFieldDefinition } from '../lib/customFields.js'
+import automationsRouter from './automations.js'
+import templatesRouter from './documentTemplates.js'
 
 const router = express.Router()
 
+router.use('/:id/automations', automationsRouter)
+router.use('/:id/templates', templatesRouter)
+
+const DEFAULT_LABEL_COLOR = '#6b7280'
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+// Roles allowed to create and edit labels; custom fields are admin-only
+const LABEL_EDITOR_ROLES = ['admin', 'member']
+
+// Postgres unique_violation
+const isDuplicate = (error) => error.code === '23505'
+
 // Get all teams for the user
 router.get('/', authenticateToken, async (req, res) => {
   if (!pool) {
@@ -80,6 +97,10 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params
 
+    if (!(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
     const result = await pool.query(
       `SELECT tm.*, 
               u.email as user_email,
@@ -108,6 +129,14 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'User ID is required' })
     }
 
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${TEAM_ROLES.join(', ')}` })
+    }
+
+    if ((await getTeamRole(id, req.user.id)) !== 'admin') {
+      return res.status(403).json({ error: 'Only team admins can add members' })
+    }
+
     const result = await pool.query(
       `INSERT INTO team_members (team_id, user_id, role)
        VALUES ($1, $2, $3)
@@ -122,4 +151,283 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
   }
 })
 
+// The team's trash: its deleted tasks and the deleted documents shared with it, each
+// with the time it will be purged
+router.get('/:id/trash', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    const [tasks, documents] = await Promise.all([
+      listTrashedTasks(pool, req.user.id, { teamId: id }),
+      listTrashedDocuments(pool, req.user.id, { teamId: id })
+    ])
+
+    res.json({ tasks, documents })
+  } catch (error) {
+    console.error('Get team trash error:', error)
+    res.status(500).json({ error: 'Failed to fetch trash' })
+  }
+})
+
+// Get team labels
+router.get('/:id/labels', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    const result = await pool.query(
+      `SELECT l.*, count(tl.task_id)::int as task_count
+       FROM team_labels l
+       LEFT JOIN task_labels tl
+         ON tl.label_id = l.id
+        AND tl.task_id IN (SELECT id FROM tasks WHERE team_id = $1 AND deleted_at IS NULL)
+       WHERE l.team_id = $1
+       GROUP BY l.id
+       ORDER BY lower(l.name) ASC`,
+      [id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get team labels error:', error)
+    res.status(500).json({ error: 'Failed to fetch labels' })
+  }
+})
+
+// Create a team label
+router.post('/:id/labels', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, color = DEFAULT_LABEL_COLOR } = req.body
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'Label name is required' })
+    }
+
+    if (!COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: 'Color must be a hex value like #ff8800' })
+    }
+
+    if (!LABEL_EDITOR_ROLES.includes(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You do not have permission to manage labels in this team' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO team_labels (team_id, name, color, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [id, name.trim(), color.toLowerCase(), req.user.id]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'A label with this name already exists' })
+    }
+    console.error('Create team label error:', error)
+    res.status(500).json({ error: 'Failed to create label' })
+  }
+})
+
+// Rename or recolour a team label
+router.put('/:id/labels/:labelId', authenticateToken, async (req, res) => {
+  try {
+    const { id, labelId } = req.params
+    const { name, color } = req.body
+
+    if (name !== undefined && !name?.trim()) {
+      return res.status(400).json({ error: 'Label name cannot be empty' })
+    }
+
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: 'Color must be a hex value like #ff8800' })
+    }
+
+    if (!LABEL_EDITOR_ROLES.includes(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You do not have permission to manage labels in this team' })
+    }
+
+    const result = await pool.query(
+      `UPDATE team_labels
+       SET name = COALESCE($1, name),
+           color = COALESCE($2, color),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND team_id = $4
+       RETURNING *`,
+      [name?.trim(), color?.toLowerCase(), labelId, id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Label not found' })
+    }
+
+    res.json(result.rows[0])
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'A label with this name already exists' })
+    }
+    console.error('Update team label error:', error)
+    res.status(500).json({ error: 'Failed to update label' })
+  }
+})
+
+// Delete a team label, removing it from every task
+router.delete('/:id/labels/:labelId', authenticateToken, async (req, res) => {
+  try {
+    const { id, labelId } = req.params
+
+    if (!LABEL_EDITOR_ROLES.includes(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You do not have permission to manage labels in this team' })
+    }
+
+    const result = await pool.query(
+      'DELETE FROM team_labels WHERE id = $1 AND team_id = $2 RETURNING *',
+      [labelId, id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Label not found' })
+    }
+
+    res.json({ message: 'Label deleted successfully' })
+  } catch (error) {
+    console.error('Delete team label error:', error)
+    res.status(500).json({ error: 'Failed to delete label' })
+  }
+})
+
+// Get team custom field definitions
+router.get('/:id/fields', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!(await getTeamRole(id, req.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this team' })
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM team_custom_fields WHERE team_id = $1 ORDER BY created_at ASC',
+      [id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get team fields error:', error)
+    res.status(500).json({ error: 'Failed to fetch custom fields' })
+  }
+})
+
+// Define a custom field
+router.post('/:id/fields', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { field, error } = parseFieldDefinition(req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    if ((await getTeamRole(id, req.user.id)) !== 'admin') {
+      return res.status(403).json({ error: 'Only team admins can manage custom fields' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO team_custom_fields (team_id, key, name, type, options, required)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [id, field.key, field.name, field.type, JSON.stringify(field.options), field.required]
+    )
+
+    res.status(201).json(result.rows[0])
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'A custom field with this key already exists' })
+    }
+    console.error('Create team field error:', error)
+    res.status(500).json({ error: 'Failed to create custom field' })
+  }
+})
+
+// Rename a custom field or change its options; key and type are fixed
+router.put('/:id/fields/:fieldId', authenticateToken, async (req, res) => {
+  try {
+    const { id, fieldId } = req.params
+
+    if ((await getTeamRole(id, req.user.id)) !== 'admin') {
+      return res.status(403).json({ error: 'Only team admins can manage custom fields' })
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM team_custom_fields WHERE id = $1 AND team_id = $2',
+      [fieldId, id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Custom field not found' })
+    }
+
+    const { field, error } = parseFieldDefinition(req.body, existing.rows[0])
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const result = await pool.query(
+      `UPDATE team_custom_fields
+       SET name = $1, options = $2, required = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [field.name, JSON.stringify(field.options), field.required, fieldId]
+    )
+
+    res.json(result.rows[0])
+  } catch (error) {
+    console.error('Update team field error:', error)
+    res.status(500).json({ error: 'Failed to update custom field' })
+  }
+})
+
+// Delete a custom field along with the values stored on tasks
+router.delete('/:id/fields/:fieldId', authenticateToken, async (req, res) => {
+  try {
+    const { id, fieldId } = req.params
+
+    if ((await getTeamRole(id, req.user.id)) !== 'admin') {
+      return res.status(403).json({ error: 'Only team admins can manage custom fields' })
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM team_custom_fields WHERE id = $1 AND team_id = $2 RETURNING *',
+        [fieldId, id]
+      )
+
+      if (result.rows.length > 0) {
+        await client.query(
+          'UPDATE tasks SET custom_fields = custom_fields - $1 WHERE team_id = $2 AND custom_fields ? $1',
+          [result.rows[0].key, id]
+        )
+      }
+
+      return result.rows[0]
+    })
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Custom field not found' })
+    }
+
+    res.json({ message: 'Custom field deleted successfully' })
+  } catch (error) {
+    console.error('Delete team field error:', error)
+    res.status(500).json({ error: 'Failed to delete custom field' })
+  }
+})
+
 export default router
@@ -0,0 +1,82 @@
+import express from 'express'
+import pool from '../db/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { getTimesheet } from '../services/timeTracking.js'
+import { formatCsv } from '../lib/csv.js'
+import { DAY_MS, daysBetween, formatDay, isDay } from '../lib/dates.js'
+import { isUuid } from '../lib/uuid.js'
+
+const router = express.Router()
+
+const DEFAULT_DAYS = 7
+const MAX_DAYS = 366
+
+// Timesheet for a date range: time per user, team and day, as JSON or CSV
+router.get('/', authenticateToken, async (req, res) => {
+  const { user, team_id, format = 'json' } = req.query
+  const to = req.query.to || formatDay(new Date())
+
+  if (!isDay(to)) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' })
+  }
+
+  // Without from, the range covers the week ending on to
+  const from = req.query.from || formatDay(new Date(new Date(to).getTime() - (DEFAULT_DAYS - 1) * DAY_MS))
+
+  if (!isDay(from)) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' })
+  }
+
+  const days = daysBetween(from, to)
+
+  if (days < 1 || days > MAX_DAYS) {
+    return res.status(400).json({ error: `The range must cover between 1 and ${MAX_DAYS} days` })
+  }
+
+  if (user && user !== 'me' && !isUuid(user)) {
+    return res.status(400).json({ error: 'user must be a UUID or me' })
+  }
+
+  if (team_id && !isUuid(team_id)) {
+    return res.status(400).json({ error: 'team_id must be a UUID' })
+  }
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be json or csv' })
+  }
+
+  if (!pool) {
+    return res.json({ from, to, total_seconds: 0, rows: [], by_user: [], by_team: [], by_day: [], note: 'Database not configured - using mock data' })
+  }
+
+  try {
+    const timesheet = await getTimesheet(pool, req.user.id, {
+      userId: user === 'me' ? req.user.id : user,
+      teamId: team_id,
+      from,
+      to
+    })
+
+    if (format === 'csv') {
+      res.attachment(`timesheet-${from}-${to}.csv`)
+      return res.type('text/csv').send(formatCsv([
+        ['date', 'user_email', 'user_name', 'team', 'hours', 'seconds'],
+        ...timesheet.rows.map(row => [
+          row.date,
+          row.user_email,
+          row.user_name,
+          row.team_name,
+          (row.seconds / 3600).toFixed(2),
+          row.seconds
+        ])
+      ]))
+    }
+
+    res.json(timesheet)
+  } catch (error) {
+    console.error('Get timesheet error:', error)
+    res.status(500).json({ error: 'Failed to fetch timesheet' })
+  }
+})
+
+export default router
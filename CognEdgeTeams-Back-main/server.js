@@ -14,10 +14,20 @@ import teamsRouter from './routes/teams.js'
 import usersRouter from './routes/users.js'
 import voiceRouter from './routes/voice.js'
 import meetingsRouter from './routes/meetings.js'
+import timesheetsRouter from './routes/timesheets.js'
+import sprintsRouter from './routes/sprints.js'
+import milestonesRouter from './routes/milestones.js'
 
 // Import database and middleware
-import { initDatabase } from './db/database.js'
+import pool, { initDatabase } from './db/database.js'
 import { authenticateToken, authenticateSocket } from './middleware/auth.js'
+import { startTaskScheduler } from './services/taskScheduler.js'
+import { startTrashPurge } from './services/trash.js'
+import { applyDocumentUpdate, joinDocument, leaveDocument, startDocumentSync } from './services/documentSync.js'
+import { canAccessDocument, documentAccessError, loadDocumentAccess } from './services/documentAccess.js'
+import { getPresence, joinPresence, leavePresence, updatePresence } from './services/documentPresence.js'
+import { getTeamRole } from './services/teamAccess.js'
+import { currentSyncCursor } from './services/taskSync.js'
 
 const app = express()
 
@@ -76,6 +86,9 @@ app.use('/api/teams', teamsRouter)
 app.use('/api/users', usersRouter)
 app.use('/api/voice', voiceRouter)
 app.use('/api/meetings', meetingsRouter)
+app.use('/api/timesheets', timesheetsRouter)
+app.use('/api/sprints', sprintsRouter)
+app.use('/api/milestones', milestonesRouter)
 
 // User profile endpoint
 app.get('/api/profile', authenticateToken, (req, res) => {
@@ -103,6 +116,9 @@ const io = new Server(httpServer, {
   }
 })
 
+// Expose io to route handlers so they can push real-time events
+app.set('io', io)
+
 // Socket.io authentication middleware
 io.use(authenticateSocket)
 
@@ -212,46 +228,134 @@ signaling.on('connection', (socket) => {
 const tasks = io.of('/tasks')
 tasks.use(authenticateSocket)
 
+// Task events are emitted by the REST handlers after a successful write;
+// clients only choose which team rooms to listen to.
 tasks.on('connection', (socket) => {
-  socket.on('task-updated', (data) => {
-    socket.broadcast.emit('task-updated', data)
-  })
+  // Personal room for reminders and tasks that do not belong to a team
+  socket.join(`user:${socket.user.id}`)
 
-  socket.on('task-created', (data) => {
-    socket.broadcast.emit('task-created', data)
+  socket.on('join-team', async (teamId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {}
+
+    try {
+      if (!teamId || !(await getTeamRole(teamId, socket.user.id))) {
+        return reply({ error: 'You are not a member of this team' })
+      }
+
+      socket.join(`team:${teamId}`)
+      // Events flow from here on; a reconnecting client catches up on the gap with
+      // GET /api/tasks/changes, and a fresh one can start delta sync from this cursor
+      reply({ ok: true, teamId, cursor: await currentSyncCursor(pool) })
+    } catch (error) {
+      console.error('Join team room error:', error)
+      reply({ error: 'Failed to join team' })
+    }
   })
 
-  socket.on('task-deleted', (data) => {
-    socket.broadcast.emit('task-deleted', data)
+  socket.on('leave-team', (teamId) => {
+    socket.leave(`team:${teamId}`)
   })
 })
 
-// Documents collaboration namespace (for Yjs integration)
+// Documents collaboration namespace. The server holds the authoritative Yjs document:
+// joining runs the state-vector handshake, and updates are merged, relayed and persisted.
 const docs = io.of('/docs')
 docs.use(authenticateSocket)
+startDocumentSync(docs)
 
 docs.on('connection', (socket) => {
-  socket.on('join-document', (docId) => {
-    socket.join(`doc:${docId}`)
-    console.log(`User ${socket.user.email} joined document: ${docId}`)
+  // Drop the socket from a document's session and roster, telling the others it left
+  const leave = (docId) => {
+    leaveDocument(docId, socket)
+
+    const left = leavePresence(docId, socket)
+    if (left) socket.to(`doc:${docId}`).emit('presence-left', { docId, id: left.id, user_id: left.user_id })
+  }
+
+  // join-document accepts a docId or { docId, stateVector, shareToken } and answers with document-sync:
+  // the updates the client is missing and the server's state vector, so the client can
+  // send back what the server is missing as a document-update. Viewers and commenters join read-only.
+  // Both carry the presence roster; the others in the document hear presence-joined.
+  socket.on('join-document', async (data, ack) => {
+    const { docId, stateVector, shareToken } = typeof data === 'string' ? { docId: data } : data || {}
+    const reply = typeof ack === 'function' ? ack : () => {}
+
+    try {
+      // Without a database there are no grants to check, like the REST routes' mock data
+      const access = !docId
+        ? { document: null, role: null }
+        : pool
+          ? await loadDocumentAccess(pool, docId, socket.user.id, { shareToken })
+          : { document: { id: docId }, role: 'owner' }
+      const denial = documentAccessError(access, 'read')
+
+      if (denial) {
+        return reply({ error: denial.error })
+      }
+
+      const readOnly = !canAccessDocument(access.role, 'edit')
+      const sync = await joinDocument(docId, socket, stateVector, { readOnly })
+
+      if (!sync) {
+        return reply({ error: 'Document not found' })
+      }
+
+      socket.join(`doc:${docId}`)
+
+      const self = joinPresence(docId, socket, { readOnly })
+      const presence = getPresence(docId)
+
+      socket.emit('document-sync', { docId, ...sync, role: access.role, read_only: readOnly, presence })
+      socket.to(`doc:${docId}`).emit('presence-joined', { docId, ...self })
+      reply({ ok: true, docId, role: access.role, read_only: readOnly, presence_id: socket.id, presence })
+      console.log(`User ${socket.user.email} joined document: ${docId}`)
+    } catch (error) {
+      console.error('Join document error:', error)
+      reply({ error: 'Failed to join document' })
+    }
   })
 
   socket.on('leave-document', (docId) => {
+    leave(docId)
     socket.leave(`doc:${docId}`)
     console.log(`User ${socket.user.email} left document: ${docId}`)
   })
 
-  socket.on('document-update', (data) => {
-    socket.to(`doc:${data.docId}`).emit('document-update', data)
+  socket.on('document-update', async (data) => {
+    try {
+      await applyDocumentUpdate(data?.docId, data?.update, socket)
+    } catch (error) {
+      socket.emit('document-error', { docId: data?.docId, error: error.message })
+    }
+  })
+
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach(room => {
+      if (room.startsWith('doc:')) leave(room.slice('doc:'.length))
+    })
   })
 
+  // cursor-update sends { docId, cursor, selection }; only sockets on the roster are relayed
   socket.on('cursor-update', (data) => {
+    const entry = updatePresence(data?.docId, socket, { cursor: data?.cursor, selection: data?.selection })
+    if (!entry) return
+
     socket.to(`doc:${data.docId}`).emit('cursor-update', {
-      user_id: socket.user.id,
-      user_name: socket.user.user_metadata?.full_name || socket.user.email,
-      ...data
+      docId: data.docId,
+      cursor: entry.cursor,
+      selection: entry.selection,
+      id: entry.id,
+      user_id: entry.user_id,
+      user_name: entry.user_name,
+      colour: entry.colour
     })
   })
+
+  // presence-update sends { docId, idle } when the client notices its user went away or came back
+  socket.on('presence-update', (data) => {
+    const entry = updatePresence(data?.docId, socket, { idle: data?.idle })
+    if (entry) socket.to(`doc:${data.docId}`).emit('presence-updated', { docId: data.docId, ...entry })
+  })
 })
 
 // Video Conference namespace for WebRTC signaling
@@ -534,6 +638,12 @@ io.on('connection', (socket) => {
   })
 })
 
+// Due-date reminders, overdue notifications and recurring task instances
+startTaskScheduler(io)
+
+// Trashed tasks and documents past TRASH_RETENTION_DAYS
+startTrashPurge()
+
 const PORT = process.env.PORT || 4000
 httpServer.listen(PORT, () => {
   console.log(`🚀 CognEdge API Server running on port ${PORT}`)
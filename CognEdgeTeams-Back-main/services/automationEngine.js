@@ -0,0 +1,234 @@
+import pool, { withTransaction } from '../db/database.js'
+import { escalatedPriority, matchesConditions, matchesTrigger } from '../lib/automationRules.js'
+import { emitTaskEvent, emitTaskEventToUser } from './taskEvents.js'
+import { getTaskLabels } from './taskLabels.js'
+import { getTeamRole } from './teamAccess.js'
+import { applyTaskUpdate } from './taskUpdates.js'
+
+// Changes made by one rule can trigger others; stop following the chain after this many hops
+const MAX_CHAIN_DEPTH = 3
+
+const loadRules = async (db, teamId, triggerTypes) => {
+  const result = await db.query(
+    `SELECT * FROM team_automations
+     WHERE team_id = $1 AND enabled AND trigger->>'type' = ANY($2)
+     ORDER BY created_at ASC`,
+    [teamId, triggerTypes]
+  )
+
+  return result.rows
+}
+
+// Turn creator / assignee / team_lead into a user id. The team lead is the team's creator.
+const resolveRecipient = async (db, to, task) => {
+  if (to === 'creator') return task.created_by
+  if (to === 'assignee') return task.assigned_to
+
+  if (to === 'team_lead') {
+    const team = await db.query('SELECT created_by FROM teams WHERE id = $1', [task.team_id])
+    return team.rows[0]?.created_by || null
+  }
+
+  return to
+}
+
+// A recipient who has left the team since the rule was written fails the run rather than
+// being assigned or told about the team's task
+const resolveMember = async (db, to, task) => {
+  const userId = await resolveRecipient(db, to, task)
+
+  if (userId && !(await getTeamRole(task.team_id, userId, db))) {
+    throw new Error(`Recipient ${to} is no longer a member of the team`)
+  }
+
+  return userId
+}
+
+// Work out the field changes and notifications a rule's actions call for.
+// Changes that would not alter the task are left out.
+const planActions = async (db, rule, task) => {
+  const changes = {}
+  const notifications = []
+
+  for (const action of rule.actions) {
+    if (action.type === 'set_field' && task[action.field] !== action.value) {
+      changes[action.field] = action.value
+    }
+
+    if (action.type === 'assign') {
+      const userId = await resolveMember(db, action.to, task)
+      if (userId && userId !== task.assigned_to) changes.assigned_to = userId
+    }
+
+    if (action.type === 'escalate_priority') {
+      const priority = escalatedPriority(changes.priority || task.priority)
+      if (priority) changes.priority = priority
+    }
+
+    if (action.type === 'add_label') {
+      const labels = changes.labels || (await getTaskLabels(db, task.id)).map(label => label.id)
+      if (!labels.includes(action.label_id)) changes.labels = [...labels, action.label_id]
+    }
+
+    if (action.type === 'notify') {
+      const userId = await resolveMember(db, action.to, task)
+      if (userId) notifications.push({ user_id: userId, message: action.message || `Automation "${rule.name}" ran on "${task.title}"` })
+    }
+  }
+
+  return { changes, notifications }
+}
+
+// Run one rule against one task in its own transaction and log the outcome.
+// A dedupe key makes the run happen at most once for that key.
+const executeRule = async (io, rule, taskId, eventType, { dedupeKey = null, chain }) => {
+  let outcome
+
+  try {
+    outcome = await withTransaction(async (client) => {
+      const claimed = await client.query(
+        `INSERT INTO automation_runs (automation_id, task_id, event, status, dedupe_key)
+         VALUES ($1, $2, $3, 'skipped', $4)
+         ON CONFLICT (automation_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [rule.id, taskId, eventType, dedupeKey]
+      )
+
+      if (claimed.rows.length === 0) return null
+
+      const runId = claimed.rows[0].id
+      const locked = await client.query('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [taskId])
+      const task = locked.rows[0]
+
+      // Conditions are checked against the task as it is now, after earlier rules ran
+      if (!task || !matchesConditions(rule.conditions, task)) {
+        return { runId, task, updated: null, notifications: [] }
+      }
+
+      // Rules act as their author, who must still be allowed to manage the team's rules
+      if ((await getTeamRole(rule.team_id, rule.created_by, client)) !== 'admin') {
+        throw new Error('The rule author is no longer an admin of the team')
+      }
+
+      const { changes, notifications } = await planActions(client, rule, task)
+      let updated = null
+
+      if (Object.keys(changes).length > 0) {
+        updated = await applyTaskUpdate(client, task, changes, rule.created_by)
+
+        if (updated.denial) {
+          throw new Error(updated.denial.error)
+        }
+      }
+
+      const log = [
+        ...(updated?.activity || []).map(entry => ({ field: entry.field, old_value: entry.old_value, new_value: entry.new_value })),
+        ...notifications.map(notification => ({ notified: notification.user_id, message: notification.message }))
+      ]
+
+      await client.query(
+        'UPDATE automation_runs SET status = $2, changes = $3 WHERE id = $1',
+        [runId, log.length > 0 ? 'succeeded' : 'skipped', JSON.stringify(log)]
+      )
+
+      return { runId, task, updated, notifications }
+    })
+  } catch (error) {
+    await pool.query(
+      `INSERT INTO automation_runs (automation_id, task_id, event, status, error, dedupe_key)
+       VALUES ($1, $2, $3, 'failed', $4, $5)
+       ON CONFLICT (automation_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING`,
+      [rule.id, taskId, eventType, error.message, dedupeKey]
+    )
+    return
+  }
+
+  if (!outcome) return
+
+  const automation = { id: rule.id, name: rule.name, run_id: outcome.runId }
+  const { updated } = outcome
+
+  if (updated) {
+    emitTaskEvent(io, updated.task, 'task-updated', { task: updated.task, actor: null, automation })
+    updated.activity.forEach(entry => {
+      emitTaskEvent(io, updated.task, 'task-activity', { task_id: updated.task.id, activity: entry, actor: null, automation })
+    })
+
+    if (updated.nextInstance) {
+      emitTaskEvent(io, updated.nextInstance, 'task-created', { task: updated.nextInstance, actor: null })
+    }
+  }
+
+  outcome.notifications.forEach(notification => {
+    emitTaskEventToUser(io, notification.user_id, 'task-notification', {
+      task: updated?.task || outcome.task,
+      message: notification.message,
+      automation
+    })
+  })
+
+  if (updated) {
+    await runTaskAutomations(io, { type: 'task_updated', task: updated.task, before: updated.before }, {
+      depth: chain.depth + 1,
+      fired: [...chain.fired, rule.id]
+    })
+  }
+}
+
+// Evaluate the team's rules for a task event ({ type: 'task_created' | 'task_updated', task, before }).
+// A rule never fires twice within one chain of automated changes.
+export const runTaskAutomations = async (io, event, chain = { depth: 0, fired: [] }) => {
+  if (!event.task.team_id || chain.depth > MAX_CHAIN_DEPTH) return
+
+  const rules = await loadRules(pool, event.task.team_id, ['task_created', 'field_changed'])
+
+  for (const rule of rules) {
+    if (chain.fired.includes(rule.id) || !matchesTrigger(rule.trigger, event)) continue
+    await executeRule(io, rule, event.task.id, event.type, { chain })
+  }
+}
+
+// Start evaluating rules for one event or a list of events, one after another,
+// without holding up the HTTP response
+export const triggerTaskAutomations = (io, events) => {
+  const run = async () => {
+    for (const event of [].concat(events)) {
+      try {
+        await runTaskAutomations(io, event)
+      } catch (error) {
+        console.error('Task automation error:', error)
+      }
+    }
+  }
+
+  run()
+}
+
+// Fire overdue rules for open tasks past their due date by the rule's number of days.
+// Each rule fires once per task and due date, so moving the due date re-arms it.
+export const runOverdueAutomations = async (io) => {
+  const rules = await pool.query(
+    `SELECT * FROM team_automations WHERE enabled AND trigger->>'type' = 'overdue' ORDER BY created_at ASC`
+  )
+
+  for (const rule of rules.rows) {
+    const due = await pool.query(
+      `SELECT t.id, t.id::text || '@' || to_char(t.due_date, 'YYYY-MM-DD"T"HH24:MI:SS') as dedupe_key
+       FROM tasks t
+       WHERE t.team_id = $1
+         AND t.deleted_at IS NULL
+         AND t.status <> 'done'
+         AND t.due_date <= CURRENT_TIMESTAMP - make_interval(days => $2)
+         AND NOT EXISTS (
+           SELECT 1 FROM automation_runs r
+           WHERE r.automation_id = $3
+             AND r.dedupe_key = t.id::text || '@' || to_char(t.due_date, 'YYYY-MM-DD"T"HH24:MI:SS')
+         )`,
+      [rule.team_id, rule.trigger.days, rule.id]
+    )
+
+    for (const task of due.rows) {
+      await executeRule(io, rule, task.id, 'overdue', { dedupeKey: task.dedupe_key, chain: { depth: 0, fired: [] } })
+    }
+  }
+}
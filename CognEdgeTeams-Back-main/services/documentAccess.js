@@ -0,0 +1,275 @@
+import { buildTeamMembershipCondition, getTeamRole } from './teamAccess.js'
+
+// Document roles from least to most powerful
+export const DOCUMENT_ROLES = ['viewer', 'commenter', 'editor', 'owner']
+
+// Roles a share link or a team grant may carry; ownership is only given to people
+export const SHARED_ROLES = ['viewer', 'commenter', 'editor']
+
+// Least role each action needs
+const REQUIRED_ROLE = {
+  read: 'viewer',
+  comment: 'commenter',
+  edit: 'editor',
+  manage: 'owner'
+}
+
+const rank = (role) => DOCUMENT_ROLES.indexOf(role)
+
+const highestRole = (roles) => roles.reduce((best, role) => (rank(role) > rank(best) ? role : best), null)
+
+// Check whether a role allows an action on a document
+export const canAccessDocument = (role, action) => Boolean(role) && rank(role) >= rank(REQUIRED_ROLE[action])
+
+// Folders from the one in column up to the top level, as rows of (id, user_id)
+const folderAncestors = (column) => `WITH RECURSIVE ancestors AS (
+    SELECT id, parent_id, user_id FROM document_folders WHERE id = ${column}
+    UNION
+    SELECT f.id, f.parent_id, f.user_id FROM document_folders f JOIN ancestors a ON f.id = a.parent_id
+  )
+  SELECT id, user_id FROM ancestors`
+
+// Rows of (role) the user holds through a folder: owning it or a folder above it, or a
+// grant on any of them to the user or their teams
+const folderRoles = (column, user, teamCondition) => `SELECT 'owner' AS role FROM (${folderAncestors(column)}) a WHERE a.user_id = ${user}
+  UNION ALL
+  SELECT p.role FROM document_permissions p
+  WHERE p.folder_id IN (SELECT id FROM (${folderAncestors(column)}) a)
+    AND (p.user_id = ${user} OR ${teamCondition})`
+
+// Rows of (role) the user holds over document d: as its creator, by grants on it, and through its folders
+const documentRoles = (user, teamCondition) => `SELECT 'owner' AS role WHERE d.user_id = ${user}
+  UNION ALL
+  SELECT p.role FROM document_permissions p
+  WHERE p.document_id = d.id AND (p.user_id = ${user} OR ${teamCondition})
+  UNION ALL
+  ${folderRoles('d.folder_id', user, teamCondition)}`
+
+// Placeholder for the user and the team membership condition on p.team_id, appending to params
+const roleParams = (userId, params) => {
+  const teamCondition = buildTeamMembershipCondition('p.team_id', userId, params)
+  return { user: `$${params.length}`, teamCondition }
+}
+
+// SQL picking the highest of a set of role rows, appending values to params
+const highestRoleExpression = (rows, params) => {
+  params.push(DOCUMENT_ROLES)
+  return `(SELECT r.role FROM (${rows}) r ORDER BY array_position($${params.length}::text[], r.role::text) DESC LIMIT 1)`
+}
+
+// Role the user holds over a document: ownership as its creator or of a folder it is in,
+// grants to them or their teams on it or its folders, and the role of a valid share link
+// they presented, whichever is highest
+export const getDocumentRole = async (db, document, userId, { shareToken = null } = {}) => {
+  if (document.user_id === userId) return 'owner'
+
+  const params = [document.id]
+  const { user, teamCondition } = roleParams(userId, params)
+  params.push(shareToken)
+
+  const result = await db.query(
+    `SELECT r.role FROM documents d, LATERAL (
+       ${documentRoles(user, teamCondition)}
+       UNION ALL
+       SELECT l.role FROM document_share_links l
+       WHERE l.document_id = d.id
+         AND l.token = $${params.length}
+         AND l.revoked_at IS NULL
+         AND l.expires_at > CURRENT_TIMESTAMP
+     ) r
+     WHERE d.id = $1`,
+    params
+  )
+
+  return highestRole(result.rows.map(row => row.role))
+}
+
+// Load a document and resolve the caller's role for it, optionally locking the row.
+// Documents in the trash are treated as missing unless includeDeleted is set.
+export const loadDocumentAccess = async (db, documentId, userId, { shareToken = null, forUpdate = false, includeDeleted = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM documents WHERE id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}${forUpdate ? ' FOR UPDATE' : ''}`,
+    [documentId]
+  )
+
+  const document = result.rows[0]
+  if (!document) return { document: null, role: null }
+
+  return { document, role: await getDocumentRole(db, document, userId, { shareToken }) }
+}
+
+// SQL condition limiting documents d to those shared with the user, appending values to params.
+// Share links are left out: they open one document, not the list.
+export const buildDocumentAccessCondition = (userId, params) => {
+  const { user, teamCondition } = roleParams(userId, params)
+  return `EXISTS (${documentRoles(user, teamCondition)})`
+}
+
+// SQL expression for the user's role on document d, from ownership and grants only,
+// appending values to params
+export const buildDocumentRoleExpression = (userId, params) => {
+  const { user, teamCondition } = roleParams(userId, params)
+  return highestRoleExpression(documentRoles(user, teamCondition), params)
+}
+
+// SQL condition limiting documents d to those shared with a team, on their own or through
+// one of their folders, appending values to params
+export const buildTeamShareCondition = (teamId, params) => {
+  params.push(teamId)
+  return `EXISTS (
+    SELECT 1 FROM document_permissions p
+    WHERE p.team_id = $${params.length}
+      AND (p.document_id = d.id OR p.folder_id IN (SELECT id FROM (${folderAncestors('d.folder_id')}) a))
+  )`
+}
+
+// Status and message to respond with when the action is not allowed, or null
+export const documentAccessError = ({ document, role }, action) => {
+  if (!document) {
+    return { status: 404, error: 'Document not found' }
+  }
+
+  if (!canAccessDocument(role, action)) {
+    return { status: 403, error: `You do not have permission to ${action} this document` }
+  }
+
+  return null
+}
+
+// Load a folder and the caller's role for it, which applies to everything inside it too.
+// Folders in the trash are treated as missing unless includeDeleted is set.
+export const loadFolderAccess = async (db, folderId, userId, { includeDeleted = false } = {}) => {
+  const params = [folderId]
+  const { user, teamCondition } = roleParams(userId, params)
+
+  const result = await db.query(
+    `SELECT f.*, ${highestRoleExpression(folderRoles('f.id', user, teamCondition), params)} as role
+     FROM document_folders f
+     WHERE f.id = $1${includeDeleted ? '' : ' AND f.deleted_at IS NULL'}`,
+    params
+  )
+
+  if (result.rows.length === 0) return { folder: null, role: null }
+
+  const { role, ...folder } = result.rows[0]
+  return { folder, role }
+}
+
+// SQL condition limiting folders under the alias to those shared with the user, appending values to params
+export const buildFolderAccessCondition = (userId, params, alias = 'f') => {
+  const { user, teamCondition } = roleParams(userId, params)
+  return `EXISTS (${folderRoles(`${alias}.id`, user, teamCondition)})`
+}
+
+// SQL expression for the user's role on the folder under the alias, appending values to params
+export const buildFolderRoleExpression = (userId, params, alias = 'f') => {
+  const { user, teamCondition } = roleParams(userId, params)
+  return highestRoleExpression(folderRoles(`${alias}.id`, user, teamCondition), params)
+}
+
+export const folderAccessError = ({ folder, role }, action) => {
+  if (!folder) {
+    return { status: 404, error: 'Folder not found' }
+  }
+
+  if (!canAccessDocument(role, action)) {
+    return { status: 403, error: `You do not have permission to ${action} this folder` }
+  }
+
+  return null
+}
+
+// Folders on the way down to a folder, top level first, limited to those the user can open.
+// Access is inherited downward, so those are always the lower end of the path.
+export const getBreadcrumbs = async (db, folderId, userId) => {
+  if (!folderId) return []
+
+  const params = [folderId]
+  const access = buildFolderAccessCondition(userId, params, 'path')
+
+  const result = await db.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, name, parent_id, deleted_at, 0 AS depth FROM document_folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, f.name, f.parent_id, f.deleted_at, path.depth + 1
+       FROM document_folders f JOIN path ON f.id = path.parent_id
+     )
+     SELECT path.id, path.name FROM path
+     WHERE path.deleted_at IS NULL AND ${access}
+     ORDER BY path.depth DESC`,
+    params
+  )
+
+  return result.rows
+}
+
+// Sharing targets are { column: 'document_id' | 'folder_id', id }
+
+// Grants on a document or folder, with who they go to
+export const listPermissions = async (db, { column, id }) => {
+  const result = await db.query(
+    `SELECT p.*,
+            u.email as user_email,
+            u.raw_user_meta_data->>'full_name' as user_name,
+            t.name as team_name
+     FROM document_permissions p
+     LEFT JOIN auth.users u ON u.id = p.user_id
+     LEFT JOIN teams t ON t.id = p.team_id
+     WHERE p.${column} = $1
+     ORDER BY p.created_at ASC`,
+    [id]
+  )
+
+  return result.rows
+}
+
+// Grant a user or a team a role on a document or folder, replacing any role they had.
+// Returns { permission } or { denial }.
+export const grantPermission = async (db, { column, id }, { user_id, team_id, role }, grantedBy) => {
+  if (Boolean(user_id) === Boolean(team_id)) {
+    return { denial: { status: 400, error: 'Provide either user_id or team_id' } }
+  }
+
+  const roles = team_id ? SHARED_ROLES : DOCUMENT_ROLES
+
+  if (!roles.includes(role)) {
+    return { denial: { status: 400, error: `Role must be one of: ${roles.join(', ')}` } }
+  }
+
+  if (user_id) {
+    const user = await db.query('SELECT 1 FROM auth.users WHERE id = $1', [user_id])
+
+    if (user.rows.length === 0) {
+      return { denial: { status: 400, error: 'User not found' } }
+    }
+  }
+
+  if (team_id && !(await getTeamRole(team_id, grantedBy, db))) {
+    return { denial: { status: 403, error: 'You can only share with teams you belong to' } }
+  }
+
+  const target = user_id ? 'user_id' : 'team_id'
+  const result = await db.query(
+    `INSERT INTO document_permissions (${column}, ${target}, role, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (${column}, ${target}) WHERE ${target} IS NOT NULL
+     DO UPDATE SET role = EXCLUDED.role, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [id, user_id || team_id, role, grantedBy]
+  )
+
+  return { permission: result.rows[0] }
+}
+
+// Remove a grant from a document or folder; returns whether there was one
+export const revokePermission = async (db, { column, id }, permissionId) => {
+  const result = await db.query(
+    `DELETE FROM document_permissions WHERE id = $1 AND ${column} = $2 RETURNING id`,
+    [permissionId, id]
+  )
+
+  return result.rows.length > 0
+}
+
+// Share token sent with a request, as a header or query parameter
+export const shareTokenFrom = (req) => req.get('X-Share-Token') || req.query.share_token || null
@@ -0,0 +1,101 @@
+import { buildDocumentAccessCondition } from './documentAccess.js'
+
+export const MAX_FOLDER_NAME_LENGTH = 255
+
+// The folder in $1 and every folder below it, each with the names of the folders
+// leading down to it from there. Moves never create cycles, so the recursion ends.
+const SUBTREE = `WITH RECURSIVE tree AS (
+    SELECT id, ARRAY[]::text[] AS path FROM document_folders WHERE id = $1
+    UNION ALL
+    SELECT f.id, tree.path || f.name::text FROM document_folders f JOIN tree ON f.parent_id = tree.id
+  )`
+
+// Whether a folder is the other folder or lies somewhere below it
+export const isFolderWithin = async (db, folderId, ancestorId) => {
+  const result = await db.query(`${SUBTREE} SELECT 1 FROM tree WHERE id = $2`, [ancestorId, folderId])
+  return result.rows.length > 0
+}
+
+// Documents the user can read anywhere below a folder, each with its path inside it
+export const listFolderDocuments = async (db, folderId, userId, { limit }) => {
+  const params = [folderId]
+  const access = buildDocumentAccessCondition(userId, params)
+  params.push(limit)
+
+  const result = await db.query(
+    `${SUBTREE}
+     SELECT d.*, tree.path FROM documents d
+     JOIN tree ON tree.id = d.folder_id
+     WHERE d.deleted_at IS NULL AND ${access}
+     ORDER BY tree.path ASC, d.title ASC, d.created_at ASC
+     LIMIT $${params.length}`,
+    params
+  )
+
+  return result.rows
+}
+
+// Move a folder to the trash with its subfolders and every document in them, all sharing one
+// deleted_at. The rows keep their place and grants, so whoever could open the documents can
+// still find them in the trash and restore them where they were. Returns the ids of the
+// trashed documents so their live sessions can be closed.
+export const deleteFolder = async (client, folderId, userId) => {
+  await client.query(
+    `${SUBTREE}
+     UPDATE document_folders SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id IN (SELECT id FROM tree) AND deleted_at IS NULL`,
+    [folderId, userId]
+  )
+
+  const documents = await client.query(
+    `${SUBTREE}
+     UPDATE documents SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE folder_id IN (SELECT id FROM tree) AND deleted_at IS NULL
+     RETURNING id`,
+    [folderId, userId]
+  )
+
+  return documents.rows.map(row => row.id)
+}
+
+// Bring back the trashed folders on the way down to a folder, so whatever is restored into
+// it shows up where it was, shared as it was
+export const restoreFolderPath = async (client, folderId) => {
+  if (!folderId) return
+
+  await client.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, parent_id FROM document_folders WHERE id = $1
+       UNION
+       SELECT f.id, f.parent_id FROM document_folders f JOIN path ON f.id = path.parent_id
+     )
+     UPDATE document_folders SET deleted_at = NULL, deleted_by = NULL
+     WHERE id IN (SELECT id FROM path) AND deleted_at IS NOT NULL`,
+    [folderId]
+  )
+}
+
+// Take a trashed folder out of the trash with the subfolders and documents trashed along
+// with it, and the folders above it. Returns the ids of the restored documents.
+export const restoreFolder = async (client, folderId) => {
+  const documents = await client.query(
+    `${SUBTREE}
+     UPDATE documents SET deleted_at = NULL, deleted_by = NULL
+     WHERE folder_id IN (SELECT id FROM tree)
+       AND deleted_at = (SELECT deleted_at FROM document_folders WHERE id = $1)
+     RETURNING id`,
+    [folderId]
+  )
+
+  await client.query(
+    `${SUBTREE}
+     UPDATE document_folders SET deleted_at = NULL, deleted_by = NULL
+     WHERE id IN (SELECT id FROM tree)
+       AND deleted_at = (SELECT deleted_at FROM document_folders WHERE id = $1)`,
+    [folderId]
+  )
+
+  await restoreFolderPath(client, folderId)
+
+  return documents.rows.map(row => row.id)
+}
@@ -0,0 +1,95 @@
+import crypto from 'crypto'
+
+// Someone who has not moved their cursor or typed for this long shows as idle
+export const PRESENCE_IDLE_MS = parseInt(process.env.DOCUMENT_PRESENCE_IDLE_MS, 10) || 2 * 60 * 1000
+
+// Cursor colours, picked from the user id so a user keeps theirs across documents and tabs
+const COLOURS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#46a4a8',
+  '#f032e6', '#9a6324', '#808000', '#800000', '#000075', '#2f8f4f'
+]
+
+// docId -> Map of socket id -> presence entry. Entries are per connection, so a user
+// with the document open in two tabs has two cursors.
+const rosters = new Map()
+
+export const presenceColour = (userId) => COLOURS[crypto.createHash('md5').update(String(userId)).digest().readUInt32BE(0) % COLOURS.length]
+
+const describe = (entry) => ({
+  id: entry.id,
+  user_id: entry.user_id,
+  user_name: entry.user_name,
+  user_email: entry.user_email,
+  colour: entry.colour,
+  read_only: entry.read_only,
+  cursor: entry.cursor,
+  selection: entry.selection,
+  idle: entry.idle || Date.now() - entry.last_active_at >= PRESENCE_IDLE_MS,
+  joined_at: new Date(entry.joined_at).toISOString(),
+  last_active_at: new Date(entry.last_active_at).toISOString()
+})
+
+// Everyone in a document, earliest arrival first
+export const getPresence = (docId) => [...(rosters.get(docId)?.values() || [])].map(describe)
+
+// Add a socket to a document's roster; returns its entry. Joining again keeps the cursor.
+export const joinPresence = (docId, socket, { readOnly = false } = {}) => {
+  if (!rosters.has(docId)) rosters.set(docId, new Map())
+
+  const roster = rosters.get(docId)
+  const now = Date.now()
+  const previous = roster.get(socket.id)
+
+  roster.set(socket.id, {
+    id: socket.id,
+    user_id: socket.user.id,
+    user_name: socket.user.user_metadata?.full_name || socket.user.email,
+    user_email: socket.user.email,
+    colour: presenceColour(socket.user.id),
+    read_only: readOnly,
+    cursor: previous?.cursor ?? null,
+    selection: previous?.selection ?? null,
+    idle: false,
+    joined_at: previous?.joined_at ?? now,
+    last_active_at: now
+  })
+
+  return describe(roster.get(socket.id))
+}
+
+// Record a socket's cursor, selection or idle flag. Moving the cursor marks it active
+// unless idle is sent along. Returns the updated entry, or null when the socket has not joined.
+export const updatePresence = (docId, socket, { cursor, selection, idle } = {}) => {
+  const entry = rosters.get(docId)?.get(socket.id)
+  if (!entry) return null
+
+  if (cursor !== undefined) entry.cursor = cursor
+  if (selection !== undefined) entry.selection = selection
+
+  if (idle !== undefined) {
+    entry.idle = Boolean(idle)
+  } else if (cursor !== undefined || selection !== undefined) {
+    entry.idle = false
+  }
+
+  if (!entry.idle) entry.last_active_at = Date.now()
+
+  return describe(entry)
+}
+
+// Take a socket off a document's roster; returns its entry, or null when it was not on it
+export const leavePresence = (docId, socket) => {
+  const roster = rosters.get(docId)
+  const entry = roster?.get(socket.id)
+  if (!entry) return null
+
+  roster.delete(socket.id)
+  if (roster.size === 0) rosters.delete(docId)
+
+  return describe(entry)
+}
+
+// Forget everyone in a document, for when it is deleted
+export const clearPresence = (docId) => {
+  rosters.delete(docId)
+}
@@ -0,0 +1,80 @@
+import { toPlainText } from '../lib/documentFormats.js'
+import { escapeHtml } from '../lib/html.js'
+import { DOCUMENT_SEARCH_VECTOR, SEARCH_CONFIG, buildSearchQuery } from '../lib/searchQuery.js'
+import { buildDocumentAccessCondition, buildDocumentRoleExpression } from './documentAccess.js'
+
+export const DEFAULT_SEARCH_LIMIT = 20
+export const MAX_SEARCH_LIMIT = 100
+
+// Postgres marks matched words with these control characters, which cannot occur in the
+// text once it is stripped of them; they become <mark> tags after the text is escaped
+const START_SEL = '\u0002'
+const STOP_SEL = '\u0003'
+const SELECTORS = /[\u0002\u0003]/g
+
+// Snippets are up to two fragments of the content
+const HEADLINE_OPTIONS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`
+
+// An escaped headline with its matches wrapped in <mark>
+const toHighlight = (headline) => escapeHtml(headline)
+  .replaceAll(START_SEL, '<mark>')
+  .replaceAll(STOP_SEL, '</mark>')
+
+// Highlight each of the texts against the terms, in order
+const highlightTexts = async (db, terms, texts) => {
+  const params = []
+  const query = buildSearchQuery(terms, params)
+  params.push(texts.map(text => text.replace(SELECTORS, '')), HEADLINE_OPTIONS)
+
+  const result = await db.query(
+    `SELECT ts_headline('${SEARCH_CONFIG}', t.text, ${query}, $${params.length}) as headline
+     FROM unnest($${params.length - 1}::text[]) WITH ORDINALITY AS t(text, position)
+     ORDER BY t.position`,
+    params
+  )
+
+  return result.rows.map(row => toHighlight(row.headline))
+}
+
+// Documents the user can read that match the parsed terms, best match first, with the
+// title and a snippet of the content's plain text highlighted as escaped HTML. Highlighting
+// only runs on the page returned.
+export const searchDocuments = async (db, userId, terms, { limit = DEFAULT_SEARCH_LIMIT, offset = 0 } = {}) => {
+  const params = []
+  const query = buildSearchQuery(terms, params)
+  const access = buildDocumentAccessCondition(userId, params)
+  const role = buildDocumentRoleExpression(userId, params)
+  params.push(limit, offset)
+
+  const result = await db.query(
+    `WITH search AS (SELECT ${query} AS query)
+     SELECT m.id, m.title, m.user_id, m.version, m.created_at, m.updated_at, m.role, m.rank,
+            u.email as user_email,
+            u.raw_user_meta_data->>'full_name' as user_name,
+            m.content
+     FROM (
+       SELECT d.*, ${role} as role, ts_rank_cd(${DOCUMENT_SEARCH_VECTOR}, search.query) as rank
+       FROM documents d, search
+       WHERE ${DOCUMENT_SEARCH_VECTOR} @@ search.query AND d.deleted_at IS NULL AND ${access}
+       ORDER BY rank DESC, d.updated_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}
+     ) m
+     LEFT JOIN auth.users u ON u.id = m.user_id
+     ORDER BY m.rank DESC, m.updated_at DESC`,
+    params
+  )
+
+  const rows = result.rows
+  if (rows.length === 0) return []
+
+  const highlights = await highlightTexts(db, terms, [
+    ...rows.map(row => row.title || ''),
+    ...rows.map(row => toPlainText(row.content || ''))
+  ])
+
+  return rows.map(({ content, ...row }, index) => ({
+    ...row,
+    title_highlight: highlights[index],
+    snippet: highlights[rows.length + index]
+  }))
+}
@@ -0,0 +1,494 @@
+import * as Y from 'yjs'
+import pool, { withTransaction } from '../db/database.js'
+import { diffText } from '../lib/diff.js'
+import { recordDocumentVersion } from './documentVersions.js'
+import { clearPresence } from './documentPresence.js'
+import { recordDocumentReferences } from './references.js'
+
+// Clients bind their editor to ydoc.getText(DOCUMENT_TEXT); its plain text is mirrored to documents.content
+export const DOCUMENT_TEXT = 'content'
+
+// Updates are batched for this long before they are written
+const FLUSH_DELAY_MS = 1000
+// A document stays in memory this long after its last editor leaves, in case they come back
+const UNLOAD_DELAY_MS = 30 * 1000
+const COMPACT_INTERVAL_MS = parseInt(process.env.DOCUMENT_COMPACT_INTERVAL_MS, 10) || 10 * 60 * 1000
+// Documents with fewer stored updates than this are left alone by compaction
+const COMPACT_MIN_UPDATES = 50
+
+// docId -> Promise of the loaded entry, so concurrent joins share one load
+const documents = new Map()
+let namespace = null
+
+const roomFor = (docId) => `doc:${docId}`
+
+// Socket.IO hands binary data over as Buffer, ArrayBuffer or, from some clients, a plain array
+const toBytes = (value) => {
+  if (value instanceof Uint8Array) return value
+  if (value instanceof ArrayBuffer) return new Uint8Array(value)
+  if (Array.isArray(value) && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte < 256)) {
+    return Uint8Array.from(value)
+  }
+  return null
+}
+
+// Lengths of the common start and end of two strings, not overlapping
+const sharedEdges = (a, b) => {
+  const limit = Math.min(a.length, b.length)
+  let prefix = 0
+  let suffix = 0
+
+  while (prefix < limit && a[prefix] === b[prefix]) prefix++
+  while (suffix < limit - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++
+
+  // Never split a surrogate pair
+  if (prefix > 0 && /[\ud800-\udbff]/.test(a[prefix - 1])) prefix--
+  if (suffix > 0 && /[\udc00-\udfff]/.test(a[a.length - suffix])) suffix--
+
+  return { prefix, suffix }
+}
+
+// Minimal edits turning one text into another as { keep }, { remove } and { insert } steps.
+// Words are diffed first; a replaced word then only changes between the characters it shares
+// with its replacement, so comment anchors on the unchanged part survive.
+const textEdits = (before, after) => {
+  const { chunks } = diffText(before, after, 'word')
+  const edits = []
+
+  for (let at = 0; at < chunks.length; at++) {
+    const { type, value } = chunks[at]
+    const next = chunks[at + 1]
+
+    if (type === 'delete' && next?.type === 'insert') {
+      const { prefix, suffix } = sharedEdges(value, next.value)
+      edits.push(
+        { keep: prefix },
+        { remove: value.length - prefix - suffix, insert: next.value.slice(prefix, next.value.length - suffix) },
+        { keep: suffix }
+      )
+      at++
+    } else if (type === 'delete') {
+      edits.push({ remove: value.length })
+    } else if (type === 'insert') {
+      edits.push({ insert: value })
+    } else {
+      edits.push({ keep: value.length })
+    }
+  }
+
+  return edits
+}
+
+const scheduleFlush = (entry) => {
+  if (entry.flushTimer) return
+
+  entry.flushTimer = setTimeout(async () => {
+    entry.flushTimer = null
+
+    try {
+      await flush(entry)
+    } catch (error) {
+      console.error('Document sync flush error:', error)
+      scheduleFlush(entry)
+    }
+  }, FLUSH_DELAY_MS)
+}
+
+// Write pending updates as one row and mirror the text to documents.content, recording a
+// version like a REST save would. Updates go back in the queue if the write fails.
+// Without a database there is nowhere to write them and they are dropped.
+const flush = async (entry) => {
+  const updates = entry.pending.splice(0)
+  if (updates.length === 0 || !pool) return
+
+  const content = entry.ydoc.getText(DOCUMENT_TEXT).toString()
+  const author = entry.author
+
+  try {
+    const exists = await withTransaction(async (client) => {
+      const locked = await client.query('SELECT * FROM documents WHERE id = $1 FOR UPDATE', [entry.id])
+      const before = locked.rows[0]
+
+      if (!before || before.deleted_at) return false
+
+      await client.query(
+        'INSERT INTO document_updates (document_id, update, user_id) VALUES ($1, $2, $3)',
+        [entry.id, Buffer.from(Y.mergeUpdates(updates)), author]
+      )
+
+      if (before.content !== content) {
+        const result = await client.query(
+          `UPDATE documents
+           SET content = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING *`,
+          [content, entry.id]
+        )
+        await recordDocumentVersion(client, before, result.rows[0], author || before.user_id)
+        await recordDocumentReferences(client, result.rows[0], author || before.user_id)
+      }
+
+      return true
+    })
+
+    if (!exists) unload(entry)
+  } catch (error) {
+    entry.pending.unshift(...updates)
+    throw error
+  }
+}
+
+// Every change to the server copy, from a socket or from REST, is relayed to the other
+// editors and queued for writing
+const onUpdate = (entry, update, origin) => {
+  const payload = { docId: entry.id, update }
+
+  if (origin?.socket) {
+    origin.socket.to(roomFor(entry.id)).emit('document-update', payload)
+  } else if (namespace) {
+    namespace.to(roomFor(entry.id)).emit('document-update', payload)
+  }
+
+  entry.pending.push(update)
+  entry.author = origin?.userId || entry.author
+  scheduleFlush(entry)
+}
+
+const createEntry = (docId, ydoc) => {
+  const entry = { id: docId, ydoc, sockets: new Map(), pending: [], author: null, flushTimer: null, unloadTimer: null }
+  ydoc.on('update', (update, origin) => onUpdate(entry, update, origin))
+  return entry
+}
+
+// Build a copy of a document from its stored update log. A document that has never been edited
+// live starts from its current content, and seed is the update to store so every copy shares
+// that history. Returns { ydoc, seed }, or null when the document does not exist.
+const buildDocument = async (docId) => {
+  const document = await pool.query('SELECT id, content FROM documents WHERE id = $1 AND deleted_at IS NULL', [docId])
+
+  if (document.rows.length === 0) return null
+
+  const ydoc = new Y.Doc()
+  const stored = await pool.query(
+    'SELECT update FROM document_updates WHERE document_id = $1 ORDER BY id ASC',
+    [docId]
+  )
+
+  if (stored.rows.length > 0) {
+    Y.applyUpdate(ydoc, Y.mergeUpdates(stored.rows.map(row => row.update)))
+    return { ydoc, seed: null }
+  }
+
+  if (document.rows[0].content) {
+    ydoc.getText(DOCUMENT_TEXT).insert(0, document.rows[0].content)
+    return { ydoc, seed: Buffer.from(Y.encodeStateAsUpdate(ydoc)) }
+  }
+
+  return { ydoc, seed: null }
+}
+
+// Load the server copy, storing the seed of a document never edited live.
+// Without a database the copy starts empty and lives in memory only, so editors can still
+// work together while it is open.
+const load = async (docId) => {
+  if (!pool) return createEntry(docId, new Y.Doc())
+
+  const built = await buildDocument(docId)
+  if (!built) return null
+
+  if (built.seed) {
+    await pool.query('INSERT INTO document_updates (document_id, update) VALUES ($1, $2)', [docId, built.seed])
+  }
+
+  return createEntry(docId, built.ydoc)
+}
+
+const getDocument = (docId) => {
+  if (!documents.has(docId)) {
+    const loading = load(docId).then(entry => {
+      if (!entry) documents.delete(docId)
+      return entry
+    }, error => {
+      documents.delete(docId)
+      throw error
+    })
+    documents.set(docId, loading)
+  }
+
+  return documents.get(docId)
+}
+
+const unload = (entry) => {
+  clearTimeout(entry.flushTimer)
+  clearTimeout(entry.unloadTimer)
+  documents.delete(entry.id)
+  entry.ydoc.destroy()
+}
+
+// Drop an unused document from memory once its pending updates are written
+const scheduleUnload = (entry) => {
+  clearTimeout(entry.unloadTimer)
+
+  entry.unloadTimer = setTimeout(async () => {
+    if (entry.sockets.size > 0) return
+
+    try {
+      clearTimeout(entry.flushTimer)
+      entry.flushTimer = null
+      await flush(entry)
+      if (entry.sockets.size === 0 && documents.has(entry.id)) unload(entry)
+    } catch (error) {
+      console.error('Document sync unload error:', error)
+      scheduleFlush(entry)
+    }
+  }, UNLOAD_DELAY_MS)
+}
+
+// First half of the handshake. Returns what the client is missing given its state vector,
+// and the server's state vector so the client can send back what the server is missing.
+// Returns null when the document does not exist. Read-only sockets get updates but may not send any.
+export const joinDocument = async (docId, socket, stateVector, { readOnly = false } = {}) => {
+  const entry = await getDocument(docId)
+  if (!entry) return null
+
+  const clientState = stateVector ? toBytes(stateVector) : null
+
+  if (stateVector && !clientState) {
+    throw new Error('stateVector must be binary')
+  }
+
+  entry.sockets.set(socket.id, { readOnly })
+  clearTimeout(entry.unloadTimer)
+
+  return {
+    update: Y.encodeStateAsUpdate(entry.ydoc, clientState || undefined),
+    stateVector: Y.encodeStateVector(entry.ydoc)
+  }
+}
+
+// A socket leaving while the document failed to load has nothing to leave
+export const leaveDocument = async (docId, socket) => {
+  const entry = await documents.get(docId)?.catch(() => null)
+  if (!entry) return
+
+  entry.sockets.delete(socket.id)
+  if (entry.sockets.size === 0) scheduleUnload(entry)
+}
+
+// Apply a Yjs update sent by an editor in the document's room
+export const applyDocumentUpdate = async (docId, update, socket) => {
+  const entry = await documents.get(docId)
+  const bytes = toBytes(update)
+
+  if (!entry || !entry.sockets.has(socket.id)) {
+    throw new Error('Join the document before sending updates')
+  }
+
+  if (!bytes) {
+    throw new Error('update must be binary')
+  }
+
+  if (entry.sockets.get(socket.id).readOnly) {
+    throw new Error('You can only view this document')
+  }
+
+  Y.applyUpdate(entry.ydoc, bytes, { socket, userId: socket.user.id })
+}
+
+// Bring the shared text in line with content saved over REST, as a minimal edit so
+// live editors keep their cursors. Documents that were never edited live are skipped;
+// they pick up documents.content when first opened.
+export const syncDocumentContent = async (docId, content, userId) => {
+  try {
+    if (!documents.has(docId)) {
+      const stored = await pool.query('SELECT 1 FROM document_updates WHERE document_id = $1 LIMIT 1', [docId])
+      if (stored.rows.length === 0) return
+    }
+
+    const entry = await getDocument(docId)
+    if (!entry) return
+
+    const text = entry.ydoc.getText(DOCUMENT_TEXT)
+    let index = 0
+
+    entry.ydoc.transact(() => {
+      textEdits(text.toString(), content || '').forEach(({ keep = 0, remove = 0, insert = '' }) => {
+        text.delete(index, remove)
+        text.insert(index, insert)
+        index += keep + insert.length
+      })
+    }, { userId })
+
+    if (entry.sockets.size === 0) scheduleUnload(entry)
+  } catch (error) {
+    console.error('Document content sync error:', error)
+  }
+}
+
+// Run fn against the loaded server copy of a document, keeping it in memory only as long as
+// it would be for an editor that just left. Returns null when the document does not exist.
+const withDocument = async (docId, fn) => {
+  const entry = await getDocument(docId)
+  if (!entry) return null
+
+  try {
+    return fn(entry)
+  } finally {
+    if (entry.sockets.size === 0) scheduleUnload(entry)
+  }
+}
+
+// Absolute { index, length } of an anchored range in the current text, or null when it cannot
+// be resolved. A range whose text was deleted collapses to length 0.
+const resolveAnchor = (entry, start, end) => {
+  const text = entry.ydoc.getText(DOCUMENT_TEXT)
+
+  try {
+    const from = Y.createAbsolutePositionFromRelativePosition(Y.decodeRelativePosition(toBytes(start)), entry.ydoc)
+    const to = Y.createAbsolutePositionFromRelativePosition(Y.decodeRelativePosition(toBytes(end)), entry.ydoc)
+
+    if (!from || !to || from.type !== text || to.type !== text) return null
+    return { index: from.index, length: Math.max(0, to.index - from.index) }
+  } catch {
+    return null
+  }
+}
+
+// Anchor a range of the shared text with relative positions, which keep pointing at the same
+// characters while text around them is edited. The start sticks to the first character and the
+// end to the last, so typing just outside the range does not grow it. Returns { start, end, quote },
+// { error } for a range outside the text, or null when the document does not exist.
+export const createDocumentAnchor = (docId, index, length) => withDocument(docId, (entry) => {
+  const text = entry.ydoc.getText(DOCUMENT_TEXT)
+
+  if (index + length > text.length) {
+    return { error: 'Anchor is outside the document text' }
+  }
+
+  return {
+    start: Buffer.from(Y.encodeRelativePosition(Y.createRelativePositionFromTypeIndex(text, index))),
+    end: Buffer.from(Y.encodeRelativePosition(Y.createRelativePositionFromTypeIndex(text, index + length, -1))),
+    quote: text.toString().slice(index, index + length)
+  }
+})
+
+// Check anchors sent by a client and return { start, end, quote } for them, { error }, or null
+// when the document does not exist
+export const readDocumentAnchor = (docId, start, end) => withDocument(docId, (entry) => {
+  const range = start && end ? resolveAnchor(entry, start, end) : null
+
+  if (!range) {
+    return { error: 'Anchor does not point into this document' }
+  }
+
+  const { index, length } = range
+  return {
+    start: Buffer.from(toBytes(start)),
+    end: Buffer.from(toBytes(end)),
+    quote: entry.ydoc.getText(DOCUMENT_TEXT).toString().slice(index, index + length)
+  }
+})
+
+// Current { index, length } of each [start, end] anchor, null where it cannot be resolved.
+// This only reads: a document nobody has open is built into a throwaway copy instead of the
+// server copy, so nothing is stored for it.
+export const resolveDocumentAnchors = async (docId, anchors) => {
+  const resolveAll = entry => anchors.map(([start, end]) => resolveAnchor(entry, start, end))
+
+  if (anchors.length === 0) return []
+  if (documents.has(docId)) return (await withDocument(docId, resolveAll)) || anchors.map(() => null)
+  if (!pool) return anchors.map(() => null)
+
+  const built = await buildDocument(docId)
+  if (!built) return anchors.map(() => null)
+
+  try {
+    return resolveAll({ ydoc: built.ydoc })
+  } finally {
+    built.ydoc.destroy()
+  }
+}
+
+// Replace an anchored range with new text, as an edit by the user, provided it still reads
+// as expected. Returns { range } with where it was, { conflict } when it changed, or null.
+export const replaceDocumentRange = (docId, start, end, expected, replacement, userId) => withDocument(docId, (entry) => {
+  const text = entry.ydoc.getText(DOCUMENT_TEXT)
+  const range = resolveAnchor(entry, start, end)
+
+  if (!range || text.toString().slice(range.index, range.index + range.length) !== expected) {
+    return { conflict: true }
+  }
+
+  entry.ydoc.transact(() => {
+    text.delete(range.index, range.length)
+    text.insert(range.index, replacement)
+  }, { userId })
+
+  return { range }
+})
+
+// Forget a deleted or trashed document and tell its editors
+export const closeDocument = async (docId) => {
+  const entry = await documents.get(docId)?.catch(() => null)
+
+  if (entry) unload(entry)
+  clearPresence(docId)
+  namespace?.to(roomFor(docId)).emit('document-deleted', { docId })
+}
+
+// Replace each long update log with a single update of the document state. Loading the
+// log into a document drops deleted content, so the compacted update is also smaller.
+export const compactDocumentUpdates = async () => {
+  const candidates = await pool.query(
+    `SELECT document_id FROM document_updates
+     GROUP BY document_id
+     HAVING count(*) >= $1`,
+    [COMPACT_MIN_UPDATES]
+  )
+
+  for (const { document_id } of candidates.rows) {
+    await withTransaction(async (client) => {
+      // Flushes lock the document row too, so no update lands mid-compaction
+      const locked = await client.query('SELECT 1 FROM documents WHERE id = $1 FOR UPDATE', [document_id])
+      const stored = await client.query(
+        'SELECT id, update FROM document_updates WHERE document_id = $1 ORDER BY id ASC',
+        [document_id]
+      )
+
+      if (locked.rows.length === 0 || stored.rows.length < 2) return
+
+      const ydoc = new Y.Doc()
+      Y.applyUpdate(ydoc, Y.mergeUpdates(stored.rows.map(row => row.update)))
+
+      await client.query('DELETE FROM document_updates WHERE id = ANY($1)', [stored.rows.map(row => row.id)])
+      await client.query(
+        'INSERT INTO document_updates (document_id, update) VALUES ($1, $2)',
+        [document_id, Buffer.from(Y.encodeStateAsUpdate(ydoc))]
+      )
+      ydoc.destroy()
+    })
+  }
+}
+
+// Serve Yjs documents on the /docs namespace and compact their update logs periodically
+export const startDocumentSync = (docsNamespace) => {
+  namespace = docsNamespace
+  if (!pool) return null
+
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+
+    try {
+      await compactDocumentUpdates()
+    } catch (error) {
+      console.error('Document compaction error:', error)
+    } finally {
+      running = false
+    }
+  }
+
+  return setInterval(tick, COMPACT_INTERVAL_MS)
+}
@@ -0,0 +1,102 @@
+// Saves by the same author within this long of their latest version starting are folded into it,
+// so autosaves every few seconds do not flood the history
+const COALESCE_WINDOW_MS = parseInt(process.env.DOCUMENT_VERSION_WINDOW_MS, 10) || 5 * 60 * 1000
+
+const VERSION_COLUMNS = `v.id, v.document_id, v.number, v.title, v.author_id, v.restored_from, v.created_at, v.updated_at,
+  length(COALESCE(v.content, '')) as size,
+  u.email as author_email,
+  u.raw_user_meta_data->>'full_name' as author_name`
+
+const insertVersion = async (db, doc, authorId, { restoredFrom = null, createdAt = null } = {}) => {
+  const result = await db.query(
+    `INSERT INTO document_versions (document_id, number, title, content, author_id, restored_from, created_at, updated_at)
+     VALUES (
+       $1,
+       COALESCE((SELECT max(number) FROM document_versions WHERE document_id = $1), 0) + 1,
+       $2, $3, $4, $5,
+       COALESCE($6, CURRENT_TIMESTAMP), COALESCE($6, CURRENT_TIMESTAMP)
+     )
+     RETURNING *`,
+    [doc.id, doc.title, doc.content, authorId, restoredFrom, createdAt]
+  )
+
+  return result.rows[0]
+}
+
+// Snapshot a document after a save, in the transaction that saved it while the row is locked.
+// Returns the version written, or null when the save changed nothing. Restores always get
+// their own version and are never folded into. Documents created before versioning get
+// their earlier state recorded first so the history starts there.
+export const recordDocumentVersion = async (client, before, after, authorId, { restoredFrom = null } = {}) => {
+  if (before && before.title === after.title && before.content === after.content) {
+    return null
+  }
+
+  const latest = await client.query(
+    'SELECT * FROM document_versions WHERE document_id = $1 ORDER BY number DESC LIMIT 1',
+    [after.id]
+  )
+
+  if (!latest.rows[0] && before) {
+    await insertVersion(client, before, before.user_id, { createdAt: before.updated_at })
+  }
+
+  if (latest.rows[0] && !restoredFrom) {
+    const folded = await client.query(
+      `UPDATE document_versions
+       SET title = $2, content = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+         AND author_id = $4
+         AND restored_from IS NULL
+         AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $5)
+       RETURNING *`,
+      [latest.rows[0].id, after.title, after.content, authorId, COALESCE_WINDOW_MS / 1000]
+    )
+
+    if (folded.rows[0]) return folded.rows[0]
+  }
+
+  return insertVersion(client, after, authorId, { restoredFrom })
+}
+
+// Versions of a document, newest first, without their content
+export const listDocumentVersions = async (db, documentId) => {
+  const result = await db.query(
+    `SELECT ${VERSION_COLUMNS}
+     FROM document_versions v
+     LEFT JOIN auth.users u ON u.id = v.author_id
+     WHERE v.document_id = $1
+     ORDER BY v.number DESC`,
+    [documentId]
+  )
+
+  return result.rows
+}
+
+// One version with its content, or null
+export const getDocumentVersion = async (db, documentId, versionId) => {
+  const result = await db.query(
+    `SELECT ${VERSION_COLUMNS}, v.content
+     FROM document_versions v
+     LEFT JOIN auth.users u ON u.id = v.author_id
+     WHERE v.document_id = $1 AND v.id = $2`,
+    [documentId, versionId]
+  )
+
+  return result.rows[0] || null
+}
+
+// The version saved just before the given one, or null for the first
+export const getPreviousVersion = async (db, version) => {
+  const result = await db.query(
+    `SELECT ${VERSION_COLUMNS}, v.content
+     FROM document_versions v
+     LEFT JOIN auth.users u ON u.id = v.author_id
+     WHERE v.document_id = $1 AND v.number < $2
+     ORDER BY v.number DESC
+     LIMIT 1`,
+    [version.document_id, version.number]
+  )
+
+  return result.rows[0] || null
+}
@@ -0,0 +1,167 @@
+import { parseDocumentMentions, parseMentions } from '../lib/mentions.js'
+import { buildDocumentAccessCondition } from './documentAccess.js'
+import { supabase } from './supabaseClient.js'
+import { buildTaskAccessCondition } from './taskAccess.js'
+
+// Turn parsed mentions into { type, id, context } targets. Tasks and documents must be ones
+// the author can see, so a mention cannot probe for items they cannot; a title naming several
+// documents means the most recently updated. Meetings are kept as written.
+const resolveMentions = async (db, mentions, userId) => {
+  const ids = new Map()
+  const taskIds = mentions.filter(mention => mention.type === 'task').map(mention => mention.key)
+  const titles = mentions.filter(mention => mention.type === 'document').map(mention => mention.key.toLowerCase())
+
+  if (taskIds.length > 0) {
+    const params = [taskIds]
+    const access = buildTaskAccessCondition(userId, params)
+    const tasks = await db.query(
+      `SELECT t.id FROM tasks t
+       WHERE t.id = ANY($1::uuid[]) AND t.deleted_at IS NULL AND ${access}`,
+      params
+    )
+    tasks.rows.forEach(row => ids.set(`task:${row.id}`, row.id))
+  }
+
+  if (titles.length > 0) {
+    const params = [titles]
+    const access = buildDocumentAccessCondition(userId, params)
+    const documents = await db.query(
+      `SELECT DISTINCT ON (lower(d.title)) d.id, lower(d.title) as title
+       FROM documents d
+       WHERE lower(d.title) = ANY($1::text[]) AND d.deleted_at IS NULL AND ${access}
+       ORDER BY lower(d.title), d.updated_at DESC`,
+      params
+    )
+    documents.rows.forEach(row => ids.set(`document:${row.title}`, row.id))
+  }
+
+  return mentions.flatMap(({ type, key, context }) => {
+    const id = type === 'meeting' ? key : ids.get(`${type}:${type === 'document' ? key.toLowerCase() : key}`)
+    return id ? [{ type, id, context }] : []
+  })
+}
+
+// Store what a text mentions as references from its source. By default they replace the
+// source's earlier ones, as for a document or task that was edited; with replace: false
+// they are added, as for each new chat message in a meeting. Items never reference themselves.
+export const recordReferences = async (db, source, mentions, userId, { replace = true } = {}) => {
+  const targets = (await resolveMentions(db, mentions, userId))
+    .filter(target => target.type !== source.type || target.id !== source.id)
+
+  if (replace) {
+    await db.query(
+      `DELETE FROM item_references
+       WHERE source_type = $1 AND source_id = $2
+         AND NOT (target_type || ':' || target_id = ANY($3::text[]))`,
+      [source.type, source.id, targets.map(target => `${target.type}:${target.id}`)]
+    )
+  }
+
+  if (targets.length === 0) return []
+
+  const result = await db.query(
+    `INSERT INTO item_references (source_type, source_id, target_type, target_id, context, created_by)
+     SELECT $1, $2, m.target_type, m.target_id, m.context, $6
+     FROM unnest($3::text[], $4::text[], $5::text[]) AS m(target_type, target_id, context)
+     ON CONFLICT (source_type, source_id, target_type, target_id) DO UPDATE
+     SET context = EXCLUDED.context,
+         created_by = CASE WHEN $7 THEN item_references.created_by ELSE EXCLUDED.created_by END,
+         created_at = CASE WHEN $7 THEN item_references.created_at ELSE CURRENT_TIMESTAMP END
+     RETURNING *`,
+    [
+      source.type,
+      source.id,
+      targets.map(target => target.type),
+      targets.map(target => target.id),
+      targets.map(target => target.context),
+      userId,
+      replace
+    ]
+  )
+
+  return result.rows
+}
+
+// Re-read the mentions in a saved document's content
+export const recordDocumentReferences = (db, document, userId) =>
+  recordReferences(db, { type: 'document', id: document.id }, parseDocumentMentions(document.content), userId)
+
+// Re-read the mentions in a saved task's description
+export const recordTaskReferences = (db, task, userId) =>
+  recordReferences(db, { type: 'task', id: task.id }, parseMentions(task.description), userId)
+
+// Add the mentions in a meeting chat message
+export const recordMeetingReferences = (db, meetingId, text, userId) =>
+  recordReferences(db, { type: 'meeting', id: meetingId }, parseMentions(text), userId, { replace: false })
+
+// Forget references from and to items deleted for good
+export const deleteReferences = async (db, type, ids) => {
+  if (ids.length === 0) return
+
+  await db.query(
+    `DELETE FROM item_references
+     WHERE (source_type = $1 AND source_id = ANY($2::text[]))
+        OR (target_type = $1 AND target_id = ANY($2::text[]))`,
+    [type, ids]
+  )
+}
+
+// Titles of the meetings among the ids that the user hosts or has joined, by meeting id.
+// Meetings live in Supabase; without it none are visible.
+export const visibleMeetings = async (userId, meetingIds) => {
+  if (!supabase || meetingIds.length === 0) return new Map()
+
+  const { data: meetings, error } = await supabase
+    .from('meetings')
+    .select('id, meeting_id, title, host_id')
+    .in('meeting_id', meetingIds)
+
+  if (error) throw error
+
+  const { data: joined, error: joinedError } = await supabase
+    .from('meeting_participants')
+    .select('meeting_id')
+    .eq('user_id', userId)
+    .in('meeting_id', meetings.map(meeting => meeting.id))
+
+  if (joinedError) throw joinedError
+
+  const joinedIds = new Set(joined.map(participant => participant.meeting_id))
+
+  return new Map(meetings
+    .filter(meeting => meeting.host_id === userId || joinedIds.has(meeting.id))
+    .map(meeting => [meeting.meeting_id, meeting.title]))
+}
+
+// Where an item is mentioned, newest first, limited to the documents, tasks and meetings
+// the user can see
+export const listBacklinks = async (db, target, userId) => {
+  const params = [target.type, target.id]
+  const documentAccess = buildDocumentAccessCondition(userId, params)
+  const taskAccess = buildTaskAccessCondition(userId, params)
+
+  const result = await db.query(
+    `SELECT r.source_type, r.source_id, r.context, r.created_by, r.created_at,
+            COALESCE(d.title, t.title) as title,
+            u.email as created_by_email,
+            u.raw_user_meta_data->>'full_name' as created_by_name
+     FROM item_references r
+     LEFT JOIN documents d ON r.source_type = 'document' AND d.id::text = r.source_id AND d.deleted_at IS NULL
+     LEFT JOIN tasks t ON r.source_type = 'task' AND t.id::text = r.source_id AND t.deleted_at IS NULL
+     LEFT JOIN auth.users u ON u.id = r.created_by
+     WHERE r.target_type = $1 AND r.target_id = $2
+       AND ((d.id IS NOT NULL AND ${documentAccess})
+         OR (t.id IS NOT NULL AND ${taskAccess})
+         OR r.source_type = 'meeting')
+     ORDER BY r.created_at DESC`,
+    params
+  )
+
+  const meetingIds = result.rows.filter(row => row.source_type === 'meeting').map(row => row.source_id)
+  const meetings = await visibleMeetings(userId, meetingIds)
+
+  return result.rows.flatMap(row => {
+    if (row.source_type !== 'meeting') return [row]
+    return meetings.has(row.source_id) ? [{ ...row, title: meetings.get(row.source_id) }] : []
+  })
+}
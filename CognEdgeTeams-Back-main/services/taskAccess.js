@@ -0,0 +1,63 @@
+import { buildTeamMembershipCondition, getTeamRole } from './teamAccess.js'
+
+// What each team role may do with the team's tasks
+const TASK_PERMISSIONS = {
+  admin: ['read', 'write', 'delete'],
+  member: ['read', 'write', 'delete_own'],
+  viewer: ['read']
+}
+
+// Check whether a role allows an action on a task
+export const canAccessTask = (task, role, action, userId) => {
+  const allowed = TASK_PERMISSIONS[role] || []
+
+  if (allowed.includes(action)) return true
+  return action === 'delete' && allowed.includes('delete_own') && task.created_by === userId
+}
+
+// Role the user holds over a task. Tasks without a team belong to their creator,
+// with the assignee acting as a regular member.
+export const getTaskRole = async (task, userId, db) => {
+  if (task.team_id) {
+    return getTeamRole(task.team_id, userId, db)
+  }
+
+  if (task.created_by === userId) return 'admin'
+  if (task.assigned_to === userId) return 'member'
+  return null
+}
+
+// Load a task and resolve the caller's role for it, optionally locking the row.
+// Tasks in the trash are treated as missing unless includeDeleted is set.
+export const loadTaskAccess = async (db, taskId, userId, { forUpdate = false, includeDeleted = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM tasks WHERE id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}${forUpdate ? ' FOR UPDATE' : ''}`,
+    [taskId]
+  )
+
+  const task = result.rows[0]
+  if (!task) return { task: null, role: null }
+
+  return { task, role: await getTaskRole(task, userId, db) }
+}
+
+// SQL condition limiting tasks to those visible to the user, appending values to params
+export const buildTaskAccessCondition = (userId, params) => {
+  const teamCondition = buildTeamMembershipCondition('t.team_id', userId, params)
+  const placeholder = `$${params.length}`
+
+  return `(${teamCondition} OR (t.team_id IS NULL AND (t.created_by = ${placeholder} OR t.assigned_to = ${placeholder})))`
+}
+
+// Status and message to respond with when the action is not allowed, or null
+export const taskAccessError = ({ task, role }, action, userId) => {
+  if (!task) {
+    return { status: 404, error: 'Task not found' }
+  }
+
+  if (!canAccessTask(task, role, action, userId)) {
+    return { status: 403, error: `You do not have permission to ${action} this task` }
+  }
+
+  return null
+}
@@ -0,0 +1,65 @@
+// Fields whose changes are written to the task activity log
+const TRACKED_FIELDS = {
+  status: 'status_changed',
+  priority: 'priority_changed',
+  assigned_to: 'reassigned',
+  due_date: 'due_date_changed',
+  sprint_id: 'sprint_changed',
+  milestone_id: 'milestone_changed',
+  story_points: 'estimate_changed'
+}
+
+const toText = (value) => {
+  if (value === null || value === undefined) return null
+  return value instanceof Date ? value.toISOString() : String(value)
+}
+
+// Insert a single activity entry for a task
+export const recordTaskActivity = async (db, { taskId, actorId, action, field = null, oldValue = null, newValue = null }) => {
+  const result = await db.query(
+    `INSERT INTO task_activity (task_id, actor_id, action, field, old_value, new_value)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [taskId, actorId, action, field, toText(oldValue), toText(newValue)]
+  )
+
+  return result.rows[0]
+}
+
+// Compare a task before and after an update and log every tracked change
+export const recordTaskChanges = async (db, before, after, actorId) => {
+  const entries = []
+
+  for (const [field, action] of Object.entries(TRACKED_FIELDS)) {
+    if (toText(before[field]) === toText(after[field])) continue
+
+    entries.push(await recordTaskActivity(db, {
+      taskId: after.id,
+      actorId,
+      action,
+      field,
+      oldValue: before[field],
+      newValue: after[field]
+    }))
+  }
+
+  // Custom fields are logged one entry per field that changed
+  const beforeFields = before.custom_fields || {}
+  const afterFields = after.custom_fields || {}
+  const keys = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])
+
+  for (const key of keys) {
+    if (toText(beforeFields[key]) === toText(afterFields[key])) continue
+
+    entries.push(await recordTaskActivity(db, {
+      taskId: after.id,
+      actorId,
+      action: 'custom_field_changed',
+      field: `custom_fields.${key}`,
+      oldValue: beforeFields[key],
+      newValue: afterFields[key]
+    }))
+  }
+
+  return entries
+}
@@ -0,0 +1,116 @@
+import { validateCustomFields } from '../lib/customFields.js'
+import { formatRRule } from '../lib/recurrence.js'
+import { canAccessTask } from './taskAccess.js'
+import { recordTaskActivity } from './taskActivity.js'
+import { getTaskLabels, getTeamFields, validateLabelIds } from './taskLabels.js'
+import { nextTaskPosition } from './taskOrdering.js'
+import { validatePlanning } from './taskPlanning.js'
+import { recordTaskReferences } from './references.js'
+import { createSeries } from './taskRecurrence.js'
+import { getTeamRole } from './teamAccess.js'
+
+// Insert a task inside the caller's transaction, the counterpart of applyTaskUpdate.
+// Returns { denial } when a rule rejects it, otherwise the task and its 'created' activity.
+// Offline clients may choose the id themselves so a retried create cannot duplicate the task.
+export const createTask = async (client, input, userId, { id = null, rule = null } = {}) => {
+  const {
+    title,
+    description,
+    status = 'todo',
+    priority = 'medium',
+    assigned_to,
+    team_id,
+    parent_id,
+    due_date = null,
+    reminder_offsets = [],
+    labels = [],
+    custom_fields = {},
+    sprint_id = null,
+    milestone_id = null,
+    story_points = null
+  } = input
+
+  if (!team_id) {
+    return { denial: { status: 400, error: 'Team ID is required' } }
+  }
+
+  const role = await getTeamRole(team_id, userId, client)
+
+  if (!canAccessTask({ team_id, created_by: userId }, role, 'write', userId)) {
+    return { denial: { status: 403, error: 'You do not have permission to create tasks in this team' } }
+  }
+
+  if (assigned_to && !(await getTeamRole(team_id, assigned_to, client))) {
+    return { denial: { status: 400, error: 'Assignee must be a member of the team' } }
+  }
+
+  if (parent_id) {
+    const parent = await client.query('SELECT team_id FROM tasks WHERE id = $1 AND deleted_at IS NULL', [parent_id])
+
+    if (parent.rows.length === 0 || parent.rows[0].team_id !== team_id) {
+      return { denial: { status: 400, error: 'Parent task must exist in the same team' } }
+    }
+  }
+
+  const planningError = await validatePlanning(client, team_id, { sprint_id, milestone_id, story_points })
+
+  if (planningError) {
+    return { denial: { status: 400, error: planningError } }
+  }
+
+  const labelError = await validateLabelIds(client, team_id, labels)
+
+  if (labelError) {
+    return { denial: { status: 400, error: labelError } }
+  }
+
+  const { values: customFields, error: fieldError } = validateCustomFields(await getTeamFields(client, team_id), custom_fields)
+
+  if (fieldError) {
+    return { denial: { status: 400, error: fieldError } }
+  }
+
+  const position = await nextTaskPosition(client, { team_id, created_by: userId })
+
+  const result = await client.query(
+    `INSERT INTO tasks (
+       id, title, description, status, priority, assigned_to, created_by, team_id, parent_id, due_date, reminder_offsets,
+       position, custom_fields, sprint_id, milestone_id, story_points
+     )
+     VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING *`,
+    [
+      id, title, description, status, priority, assigned_to, userId, team_id, parent_id, due_date, reminder_offsets,
+      position, customFields, sprint_id, milestone_id, story_points
+    ]
+  )
+
+  const task = result.rows[0]
+  const entry = await recordTaskActivity(client, {
+    taskId: task.id,
+    actorId: userId,
+    action: 'created'
+  })
+
+  await recordTaskReferences(client, task, userId)
+
+  if (labels.length > 0) {
+    await client.query(
+      'INSERT INTO task_labels (task_id, label_id) SELECT $1, unnest($2::uuid[])',
+      [task.id, [...new Set(labels)]]
+    )
+  }
+
+  const taskLabels = await getTaskLabels(client, task.id)
+
+  if (rule) {
+    const series = await createSeries(client, task, rule, userId)
+    const refreshed = await client.query('SELECT * FROM tasks WHERE id = $1', [task.id])
+    return {
+      task: { ...refreshed.rows[0], labels: taskLabels, recurrence: { ...series, rrule: formatRRule(series.rule) } },
+      activity: [entry]
+    }
+  }
+
+  return { task: { ...task, labels: taskLabels }, activity: [entry] }
+}
@@ -0,0 +1,25 @@
+// Shape of the user attached to real-time task events
+export const describeActor = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.user_metadata?.full_name || user.email
+})
+
+// Rooms that hear about a task: its team room, or the creator and assignee of a task without a team
+const taskRooms = (task) => {
+  if (task.team_id) return [`team:${task.team_id}`]
+  return [...new Set([task.created_by, task.assigned_to].filter(Boolean))].map(userId => `user:${userId}`)
+}
+
+// Push a server-side event about a task to the /tasks sockets allowed to see it
+export const emitTaskEvent = (io, task, event, payload) => {
+  const rooms = taskRooms(task)
+  if (!io || rooms.length === 0) return
+  io.of('/tasks').to(rooms).emit(event, payload)
+}
+
+// Push a server-side event to every /tasks socket of a single user
+export const emitTaskEventToUser = (io, userId, event, payload) => {
+  if (!io || !userId) return
+  io.of('/tasks').to(`user:${userId}`).emit(event, payload)
+}
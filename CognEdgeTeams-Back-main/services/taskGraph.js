@@ -0,0 +1,113 @@
+// Subtask and "blocked by" relationships between tasks
+
+const NODE_COLUMNS = 'id, title, status, priority, assigned_to, parent_id, team_id'
+
+// Blockers of a task that are not finished yet
+export const getOpenBlockers = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT b.id, b.title, b.status
+     FROM task_dependencies d
+     JOIN tasks b ON b.id = d.blocked_by_id
+     WHERE d.task_id = $1 AND b.status <> 'done' AND b.deleted_at IS NULL
+     ORDER BY b.title ASC`,
+    [taskId]
+  )
+
+  return result.rows
+}
+
+// If blocking taskId by blockedById would close a loop, return the loop as
+// a list of task ids starting and ending with taskId, otherwise null
+export const findDependencyCycle = async (db, taskId, blockedById) => {
+  if (taskId === blockedById) return [taskId, taskId]
+
+  const result = await db.query(
+    `WITH RECURSIVE chain (id, path) AS (
+       SELECT $1::uuid, ARRAY[$1::uuid]
+       UNION ALL
+       SELECT d.blocked_by_id, chain.path || d.blocked_by_id
+       FROM task_dependencies d
+       JOIN chain ON d.task_id = chain.id
+       WHERE NOT d.blocked_by_id = ANY(chain.path)
+     )
+     SELECT path FROM chain WHERE id = $2 LIMIT 1`,
+    [blockedById, taskId]
+  )
+
+  return result.rows[0] ? [taskId, ...result.rows[0].path] : null
+}
+
+// True when making parentId the parent of taskId would make a task its own ancestor
+export const createsParentCycle = async (db, taskId, parentId) => {
+  if (taskId === parentId) return true
+
+  const result = await db.query(
+    `WITH RECURSIVE ancestors (id) AS (
+       SELECT $1::uuid
+       UNION
+       SELECT t.parent_id FROM tasks t JOIN ancestors a ON t.id = a.id WHERE t.parent_id IS NOT NULL
+     )
+     SELECT 1 FROM ancestors WHERE id = $2 LIMIT 1`,
+    [parentId, taskId]
+  )
+
+  return result.rows.length > 0
+}
+
+// Titles for a list of task ids, keyed by id
+export const getTaskTitles = async (db, ids) => {
+  const result = await db.query('SELECT id, title FROM tasks WHERE id = ANY($1)', [ids])
+  return Object.fromEntries(result.rows.map(row => [row.id, row.title]))
+}
+
+// Everything reachable from a task through blockers, dependents and subtasks, leaving out the trash
+export const getTaskGraph = async (db, taskId) => {
+  const reachable = await db.query(
+    `WITH RECURSIVE
+       upstream (id) AS (
+         SELECT $1::uuid
+         UNION
+         SELECT d.blocked_by_id FROM task_dependencies d
+         JOIN upstream u ON d.task_id = u.id
+         JOIN tasks b ON b.id = d.blocked_by_id AND b.deleted_at IS NULL
+       ),
+       downstream (id) AS (
+         SELECT $1::uuid
+         UNION
+         SELECT d.task_id FROM task_dependencies d
+         JOIN downstream u ON d.blocked_by_id = u.id
+         JOIN tasks b ON b.id = d.task_id AND b.deleted_at IS NULL
+       ),
+       descendants (id) AS (
+         SELECT $1::uuid
+         UNION
+         SELECT t.id FROM tasks t JOIN descendants p ON t.parent_id = p.id WHERE t.deleted_at IS NULL
+       )
+     SELECT id FROM upstream
+     UNION SELECT id FROM downstream
+     UNION SELECT id FROM descendants`,
+    [taskId]
+  )
+
+  const ids = reachable.rows.map(row => row.id)
+
+  const nodes = await db.query(
+    `SELECT ${NODE_COLUMNS} FROM tasks WHERE id = ANY($1) ORDER BY created_at ASC`,
+    [ids]
+  )
+
+  const dependencies = await db.query(
+    `SELECT blocked_by_id, task_id FROM task_dependencies
+     WHERE task_id = ANY($1) AND blocked_by_id = ANY($1)`,
+    [ids]
+  )
+
+  const edges = [
+    ...dependencies.rows.map(row => ({ from: row.blocked_by_id, to: row.task_id, type: 'blocks' })),
+    ...nodes.rows
+      .filter(node => node.parent_id && ids.includes(node.parent_id))
+      .map(node => ({ from: node.parent_id, to: node.id, type: 'subtask' }))
+  ]
+
+  return { root: taskId, nodes: nodes.rows, edges }
+}
@@ -0,0 +1,72 @@
+import { rankBetween } from '../lib/rank.js'
+import { mapImportRecord } from '../lib/taskTransfer.js'
+import { recordTaskReferences } from './references.js'
+import { recordTaskActivity } from './taskActivity.js'
+import { nextTaskPosition } from './taskOrdering.js'
+import { getTeamRole } from './teamAccess.js'
+
+// Map and check every record, resolving assignee emails to team members.
+// Returns the tasks ready to insert and a list of { row, field, error } problems.
+export const validateImport = async (db, records, mapping, firstRow, teamId) => {
+  const mapped = records.map((record, index) => ({ row: firstRow + index, ...mapImportRecord(record, mapping) }))
+  const emails = [...new Set(mapped.map(item => item.task.assignee_email).filter(Boolean))]
+
+  const users = emails.length > 0
+    ? await db.query('SELECT id, lower(email) as email FROM auth.users WHERE lower(email) = ANY($1)', [emails])
+    : { rows: [] }
+
+  const assignees = {}
+
+  for (const user of users.rows) {
+    if (await getTeamRole(teamId, user.id, db)) assignees[user.email] = user.id
+  }
+
+  const tasks = []
+  const errors = []
+
+  for (const { row, task, errors: rowErrors } of mapped) {
+    const { assignee_email, ...values } = task
+
+    if (assignee_email && !assignees[assignee_email]) {
+      const known = users.rows.some(user => user.email === assignee_email)
+      rowErrors.push({
+        field: 'assignee_email',
+        error: known ? 'Assignee must be a member of the team' : 'No user with this email'
+      })
+    }
+
+    errors.push(...rowErrors.map(rowError => ({ row, ...rowError })))
+    tasks.push({ row, ...values, assigned_to: assignee_email ? assignees[assignee_email] || null : null })
+  }
+
+  return { tasks, errors }
+}
+
+// Insert validated tasks at the end of the team's board, in file order
+export const commitImport = async (client, tasks, teamId, userId) => {
+  const inserted = []
+  let position = await nextTaskPosition(client, { team_id: teamId, created_by: userId })
+
+  for (const task of tasks) {
+    const result = await client.query(
+      `INSERT INTO tasks (title, description, status, priority, assigned_to, created_by, team_id, due_date, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [task.title, task.description, task.status, task.priority, task.assigned_to, userId, teamId, task.due_date, position]
+    )
+
+    await recordTaskActivity(client, {
+      taskId: result.rows[0].id,
+      actorId: userId,
+      action: 'created',
+      field: 'import'
+    })
+
+    await recordTaskReferences(client, result.rows[0], userId)
+
+    inserted.push(result.rows[0])
+    position = rankBetween(position, null)
+  }
+
+  return inserted
+}
@@ -0,0 +1,73 @@
+import { recordTaskActivity } from './taskActivity.js'
+
+// Labels attached to a task, ordered by name
+export const getTaskLabels = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT l.id, l.name, l.color
+     FROM task_labels tl
+     JOIN team_labels l ON l.id = tl.label_id
+     WHERE tl.task_id = $1
+     ORDER BY lower(l.name) ASC`,
+    [taskId]
+  )
+
+  return result.rows
+}
+
+// Custom field definitions of a team
+export const getTeamFields = async (db, teamId) => {
+  const result = await db.query(
+    'SELECT * FROM team_custom_fields WHERE team_id = $1 ORDER BY created_at ASC',
+    [teamId]
+  )
+
+  return result.rows
+}
+
+// Check that label ids are a list of labels belonging to the team. Returns an error message or null.
+export const validateLabelIds = async (db, teamId, labelIds) => {
+  if (!Array.isArray(labelIds) || !labelIds.every(id => typeof id === 'string')) {
+    return 'labels must be an array of label ids'
+  }
+
+  if (labelIds.length === 0) return null
+
+  if (!teamId) {
+    return 'Only team tasks can have labels'
+  }
+
+  const result = await db.query(
+    'SELECT count(*)::int as count FROM team_labels WHERE team_id = $1 AND id::text = ANY($2)',
+    [teamId, [...new Set(labelIds)]]
+  )
+
+  return result.rows[0].count === new Set(labelIds).size ? null : 'Labels must belong to the task\'s team'
+}
+
+// Replace the labels of a task, logging the change. Returns the activity entry or null when nothing changed.
+export const setTaskLabels = async (db, taskId, labelIds, actorId) => {
+  const before = await getTaskLabels(db, taskId)
+  const wanted = [...new Set(labelIds)]
+
+  if (before.length === wanted.length && before.every(label => wanted.includes(label.id))) {
+    return null
+  }
+
+  await db.query('DELETE FROM task_labels WHERE task_id = $1', [taskId])
+  await db.query(
+    'INSERT INTO task_labels (task_id, label_id) SELECT $1, unnest($2::uuid[])',
+    [taskId, wanted]
+  )
+
+  const after = await getTaskLabels(db, taskId)
+  const names = (labels) => labels.map(label => label.name).join(', ') || null
+
+  return recordTaskActivity(db, {
+    taskId,
+    actorId,
+    action: 'labels_changed',
+    field: 'labels',
+    oldValue: names(before),
+    newValue: names(after)
+  })
+}
@@ -0,0 +1,66 @@
+import { rankBetween } from '../lib/rank.js'
+
+// Team tasks share one ordering per team; personal tasks one per person who created them.
+// Returns the SQL condition selecting the tasks ordered with the given one, appending to params.
+const orderingScope = (task, params) => {
+  if (task.team_id) {
+    params.push(task.team_id)
+    return `team_id = $${params.length}`
+  }
+
+  params.push(task.created_by)
+  return `team_id IS NULL AND created_by = $${params.length}`
+}
+
+// Serialize rank assignment per ordering for the rest of the caller's transaction
+const lockOrdering = (db, task) => db.query(
+  'SELECT pg_advisory_xact_lock(hashtext($1))',
+  [task.team_id ? `task-order:${task.team_id}` : `task-order:personal:${task.created_by}`]
+)
+
+// Rank that places a task after every other task ordered with it, given its team_id
+// and created_by
+export const nextTaskPosition = async (db, task) => {
+  await lockOrdering(db, task)
+
+  const params = []
+  const result = await db.query(
+    `SELECT max(position) as position FROM tasks WHERE ${orderingScope(task, params)}`,
+    params
+  )
+
+  return rankBetween(result.rows[0].position, null)
+}
+
+// Rank for a task dropped between two neighbours of the same team, or among the same
+// person's personal tasks. Either neighbour may be omitted to drop at the start or end of a column.
+export const positionBetween = async (db, task, beforeId, afterId) => {
+  if (!beforeId && !afterId) {
+    return { position: await nextTaskPosition(db, task) }
+  }
+
+  await lockOrdering(db, task)
+
+  const ids = [beforeId, afterId].filter(Boolean)
+  const params = [ids]
+  const result = await db.query(
+    `SELECT id, position FROM tasks WHERE id = ANY($1) AND ${orderingScope(task, params)}`,
+    params
+  )
+  const neighbours = Object.fromEntries(result.rows.map(row => [row.id, row]))
+
+  for (const id of ids) {
+    if (!neighbours[id]) {
+      return { error: 'Neighbouring tasks must exist in the same team or personal task list' }
+    }
+  }
+
+  const before = beforeId ? neighbours[beforeId].position : null
+  const after = afterId ? neighbours[afterId].position : null
+
+  if (before && after && before >= after) {
+    return { error: 'before_id must be ordered ahead of after_id; refresh the board and retry' }
+  }
+
+  return { position: rankBetween(before, after) }
+}
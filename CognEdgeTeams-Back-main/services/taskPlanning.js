@@ -0,0 +1,74 @@
+import { buildBurndown } from '../lib/burndown.js'
+
+// Check sprint, milestone and estimate values for a task in a team. Returns an error message or null.
+export const validatePlanning = async (db, teamId, { sprint_id, milestone_id, story_points }) => {
+  if (story_points !== undefined && story_points !== null && (!Number.isInteger(story_points) || story_points < 0)) {
+    return 'story_points must be a non-negative integer'
+  }
+
+  if ((sprint_id || milestone_id) && !teamId) {
+    return 'Only team tasks can be planned into sprints and milestones'
+  }
+
+  if (sprint_id) {
+    const sprint = await db.query('SELECT team_id, status FROM sprints WHERE id = $1', [sprint_id])
+
+    if (sprint.rows.length === 0 || sprint.rows[0].team_id !== teamId) {
+      return 'Sprint must exist in the same team'
+    }
+
+    if (sprint.rows[0].status === 'closed') {
+      return 'Tasks cannot be added to a closed sprint'
+    }
+  }
+
+  if (milestone_id) {
+    const milestone = await db.query('SELECT team_id FROM milestones WHERE id = $1', [milestone_id])
+
+    if (milestone.rows.length === 0 || milestone.rows[0].team_id !== teamId) {
+      return 'Milestone must exist in the same team'
+    }
+  }
+
+  return null
+}
+
+// Sprint the team should plan unfinished work into when a sprint closes:
+// the earliest planned sprint starting after it
+export const findNextSprint = async (db, sprint) => {
+  const result = await db.query(
+    `SELECT * FROM sprints
+     WHERE team_id = $1 AND status = 'planned' AND id <> $2 AND start_date >= $3
+     ORDER BY start_date ASC, created_at ASC
+     LIMIT 1`,
+    [sprint.team_id, sprint.id, sprint.start_date]
+  )
+
+  return result.rows[0] || null
+}
+
+// Daily remaining points for a sprint, replayed from the task activity log
+export const getBurndown = async (db, sprint) => {
+  // Every task that was in the sprint at some point, not only the current ones
+  const tasks = await db.query(
+    `SELECT id, status, sprint_id, story_points, created_at
+     FROM tasks
+     WHERE deleted_at IS NULL
+       AND (sprint_id = $1
+        OR id IN (
+          SELECT task_id FROM task_activity
+          WHERE field = 'sprint_id' AND (old_value = $2 OR new_value = $2)
+        ))`,
+    [sprint.id, String(sprint.id)]
+  )
+
+  const history = await db.query(
+    `SELECT task_id, field, old_value, new_value, created_at
+     FROM task_activity
+     WHERE task_id = ANY($1) AND field IN ('status', 'sprint_id', 'story_points')
+     ORDER BY created_at ASC`,
+    [tasks.rows.map(task => task.id)]
+  )
+
+  return buildBurndown(sprint, tasks.rows, history.rows)
+}
@@ -0,0 +1,158 @@
+import pool, { withTransaction } from '../db/database.js'
+import { nextOccurrence, occurrencesAfter } from '../lib/recurrence.js'
+import { recordTaskReferences } from './references.js'
+import { recordTaskActivity } from './taskActivity.js'
+import { nextTaskPosition } from './taskOrdering.js'
+
+// Fields copied from the latest instance when the next one is generated
+const COPIED_FIELDS = ['title', 'description', 'priority', 'assigned_to', 'team_id', 'parent_id', 'reminder_offsets']
+
+// Point the series at its next occurrence, ending it when there are none left
+const refreshNextOccurrence = async (db, series) => {
+  const next = nextOccurrence(series.rule, series.starts_at, series.last_occurrence_at)
+
+  const result = await db.query(
+    `UPDATE task_series
+     SET last_occurrence_at = $3,
+         next_occurrence_at = $2,
+         active = active AND $2::timestamp IS NOT NULL,
+         ended_at = CASE WHEN active AND $2::timestamp IS NULL THEN CURRENT_TIMESTAMP ELSE ended_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [series.id, next, series.last_occurrence_at]
+  )
+
+  return result.rows[0]
+}
+
+// Turn a task into the first instance of a new series
+export const createSeries = async (db, task, rule, userId) => {
+  const start = task.due_date || task.created_at
+
+  const result = await db.query(
+    `INSERT INTO task_series (team_id, rule, starts_at, last_occurrence_at, created_by)
+     VALUES ($1, $2, $3, $3, $4)
+     RETURNING *`,
+    [task.team_id, rule, start, userId]
+  )
+
+  await db.query(
+    'UPDATE tasks SET series_id = $1, occurrence_at = $2, version = version + 1 WHERE id = $3',
+    [result.rows[0].id, start, task.id]
+  )
+
+  return refreshNextOccurrence(db, result.rows[0])
+}
+
+// Replace the rule of a series; only occurrences that have not been generated change
+export const updateSeriesRule = async (db, seriesId, rule) => {
+  const result = await db.query(
+    `UPDATE task_series
+     SET rule = $2, active = true, ended_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [seriesId, rule]
+  )
+
+  return refreshNextOccurrence(db, result.rows[0])
+}
+
+// Stop generating instances; existing tasks are kept
+export const stopSeries = async (db, seriesId) => {
+  const result = await db.query(
+    `UPDATE task_series
+     SET active = false, next_occurrence_at = NULL, ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [seriesId]
+  )
+
+  return result.rows[0]
+}
+
+export const getSeries = async (db, seriesId) => {
+  const result = await db.query('SELECT * FROM task_series WHERE id = $1', [seriesId])
+  return result.rows[0] || null
+}
+
+// Occurrences that have not been generated yet
+export const upcomingOccurrences = (series, count) => {
+  if (!series.active) return []
+  return occurrencesAfter(series.rule, series.starts_at, series.last_occurrence_at, count)
+}
+
+// Create the instance following the latest one not in the trash. Returns null when the
+// series is stopped, has run out of occurrences or has no live instance left to copy,
+// in which case it stops.
+export const generateNextInstance = async (db, seriesId) => {
+  const locked = await db.query('SELECT * FROM task_series WHERE id = $1 FOR UPDATE', [seriesId])
+  const series = locked.rows[0]
+
+  if (!series || !series.active) return null
+
+  const occurrenceAt = nextOccurrence(series.rule, series.starts_at, series.last_occurrence_at)
+
+  if (!occurrenceAt) {
+    await refreshNextOccurrence(db, series)
+    return null
+  }
+
+  const latest = await db.query(
+    'SELECT * FROM tasks WHERE series_id = $1 AND deleted_at IS NULL ORDER BY occurrence_at DESC LIMIT 1',
+    [seriesId]
+  )
+
+  if (latest.rows.length === 0) {
+    await stopSeries(db, seriesId)
+    return null
+  }
+
+  const source = latest.rows[0]
+  const position = await nextTaskPosition(db, { team_id: source.team_id, created_by: series.created_by })
+  const values = [...COPIED_FIELDS.map(field => source[field]), series.created_by, seriesId, position, occurrenceAt]
+  const placeholders = values.map((value, index) => `$${index + 1}`)
+
+  // The occurrence time doubles as the due date of the new instance
+  const inserted = await db.query(
+    `INSERT INTO tasks (${COPIED_FIELDS.join(', ')}, created_by, series_id, position, occurrence_at, due_date, status)
+     VALUES (${placeholders.join(', ')}, $${values.length}, 'todo')
+     ON CONFLICT (series_id, occurrence_at) DO NOTHING
+     RETURNING *`,
+    values
+  )
+
+  await refreshNextOccurrence(db, { ...series, last_occurrence_at: occurrenceAt })
+
+  const task = inserted.rows[0]
+  if (!task) return null
+
+  await recordTaskActivity(db, {
+    taskId: task.id,
+    actorId: series.created_by,
+    action: 'created',
+    field: 'series_id',
+    newValue: seriesId
+  })
+
+  await recordTaskReferences(db, task, series.created_by)
+
+  return task
+}
+
+// Generate every instance whose scheduled time has arrived
+export const generateDueInstances = async () => {
+  const due = await pool.query(
+    `SELECT id FROM task_series
+     WHERE active AND next_occurrence_at <= CURRENT_TIMESTAMP`
+  )
+
+  const created = []
+
+  for (const { id } of due.rows) {
+    const task = await withTransaction(client => generateNextInstance(client, id))
+    if (task) created.push(task)
+  }
+
+  return created
+}
@@ -0,0 +1,91 @@
+import pool from '../db/database.js'
+import { emitTaskEvent, emitTaskEventToUser } from './taskEvents.js'
+import { generateDueInstances } from './taskRecurrence.js'
+import { runOverdueAutomations } from './automationEngine.js'
+
+const POLL_INTERVAL_MS = parseInt(process.env.TASK_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000
+
+// Record due-soon reminders whose offset window has opened. The unique key on
+// task_notifications makes each reminder fire once per due date, across restarts.
+const claimDueSoonReminders = () => pool.query(
+  `INSERT INTO task_notifications (task_id, kind, offset_minutes, due_date, recipient_id)
+   SELECT t.id, 'due_soon', o.minutes, t.due_date, t.assigned_to
+   FROM tasks t
+   CROSS JOIN LATERAL unnest(t.reminder_offsets) AS o(minutes)
+   WHERE t.status <> 'done'
+     AND t.deleted_at IS NULL
+     AND t.assigned_to IS NOT NULL
+     AND t.due_date > CURRENT_TIMESTAMP
+     AND t.due_date - make_interval(mins => o.minutes) <= CURRENT_TIMESTAMP
+   ON CONFLICT (task_id, kind, offset_minutes, due_date) DO NOTHING
+   RETURNING *`
+)
+
+// Record overdue notices for open tasks whose due date has passed
+const claimOverdueNotices = () => pool.query(
+  `INSERT INTO task_notifications (task_id, kind, offset_minutes, due_date, recipient_id)
+   SELECT t.id, 'overdue', 0, t.due_date, t.assigned_to
+   FROM tasks t
+   WHERE t.status <> 'done'
+     AND t.deleted_at IS NULL
+     AND t.assigned_to IS NOT NULL
+     AND t.due_date <= CURRENT_TIMESTAMP
+   ON CONFLICT (task_id, kind, offset_minutes, due_date) DO NOTHING
+   RETURNING *`
+)
+
+const notify = async (io, notifications, event) => {
+  if (notifications.length === 0) return
+
+  const tasks = await pool.query(
+    'SELECT * FROM tasks WHERE id = ANY($1)',
+    [notifications.map(notification => notification.task_id)]
+  )
+  const byId = Object.fromEntries(tasks.rows.map(task => [task.id, task]))
+
+  notifications.forEach(notification => {
+    emitTaskEventToUser(io, notification.recipient_id, event, {
+      task: byId[notification.task_id],
+      due_date: notification.due_date,
+      offset_minutes: notification.offset_minutes
+    })
+  })
+}
+
+const runOnce = async (io) => {
+  const recurring = await generateDueInstances()
+  recurring.forEach(task => emitTaskEvent(io, task, 'task-created', { task, actor: null }))
+
+  const dueSoon = await claimDueSoonReminders()
+  await notify(io, dueSoon.rows, 'task-due-soon')
+
+  const overdue = await claimOverdueNotices()
+  await notify(io, overdue.rows, 'task-overdue')
+
+  await runOverdueAutomations(io)
+}
+
+// Poll for due and overdue tasks and notify their assignees on the /tasks namespace
+export const startTaskScheduler = (io) => {
+  if (!pool) return null
+
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+
+    try {
+      await runOnce(io)
+    } catch (error) {
+      console.error('Task scheduler error:', error)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+  console.log(`⏰ Task scheduler polling every ${POLL_INTERVAL_MS / 1000}s`)
+
+  return setInterval(tick, POLL_INTERVAL_MS)
+}
@@ -0,0 +1,156 @@
+import { decodeCursor, encodeCursor } from '../lib/taskQuery.js'
+import { isUuid } from '../lib/uuid.js'
+import { buildTaskAccessCondition } from './taskAccess.js'
+
+export const DEFAULT_CHANGES_LIMIT = 500
+export const MAX_CHANGES_LIMIT = 1000
+
+const XID_PATTERN = /^\d+$/
+
+// Changes are ordered by the id of the transaction that wrote them. Sequence numbers would be
+// simpler, but a transaction can commit after a later one, and a client that already moved
+// past its number would never see it. So a pull round remembers the oldest transaction still
+// running when it began (xmin) and the next round starts there; clients may see a change twice
+// but never miss one.
+//
+// Cursor fields: since - inclusive lower bound of the round, null for a full pull;
+// xmin - where the next round starts; after - [change_xid, id] of the last change sent.
+export const parseSyncCursor = (value) => {
+  if (value === undefined || value === '') {
+    return { cursor: { since: null, xmin: null, after: null } }
+  }
+
+  const cursor = decodeCursor(value)
+  const isXid = (xid) => typeof xid === 'string' && XID_PATTERN.test(xid)
+  const valid = cursor &&
+    (cursor.since === null || isXid(cursor.since)) &&
+    (cursor.xmin === null || isXid(cursor.xmin)) &&
+    (cursor.after === null || (Array.isArray(cursor.after) && isXid(cursor.after[0]) && isUuid(cursor.after[1])))
+
+  return valid ? { cursor } : { error: 'Invalid sync cursor' }
+}
+
+const compareChanges = (a, b) => {
+  const byXid = BigInt(a.change_xid) - BigInt(b.change_xid)
+  if (byXid !== 0n) return byXid < 0n ? -1 : 1
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+}
+
+// Oldest transaction still running; everything it or a later transaction writes is yet to be pulled
+const snapshotXmin = async (db) => {
+  const result = await db.query('SELECT pg_snapshot_xmin(pg_current_snapshot())::text as xmin')
+  return result.rows[0].xmin
+}
+
+// Cursor for a client that is up to date as of now, e.g. right after subscribing to live events
+export const currentSyncCursor = async (db) => encodeCursor({ since: await snapshotXmin(db), xmin: null, after: null })
+
+// Conditions placing a change inside the cursor's window, appending values to params
+const windowConditions = (cursor, column, idColumn, params) => {
+  const conditions = []
+
+  if (cursor.since) {
+    params.push(cursor.since)
+    conditions.push(`${column} >= $${params.length}::xid8`)
+  }
+
+  if (cursor.after) {
+    params.push(cursor.after[0], cursor.after[1])
+    conditions.push(`(${column}, ${idColumn}) > ($${params.length - 1}::xid8, $${params.length}::uuid)`)
+  }
+
+  return conditions
+}
+
+// Tasks created, updated and deleted since the cursor that the user can see, oldest change first.
+// Without a cursor every visible task is returned as created. Trashing a task is a delete to
+// clients; restoring it resets created_xid so it comes back as created.
+export const getTaskChanges = async (db, userId, cursor, limit) => {
+  const xmin = cursor.after ? cursor.xmin : await snapshotXmin(db)
+
+  const taskParams = []
+  const taskConditions = [
+    buildTaskAccessCondition(userId, taskParams),
+    ...windowConditions(cursor, 't.change_xid', 't.id', taskParams)
+  ]
+  let createdSince = 'true'
+
+  if (cursor.since) {
+    taskParams.push(cursor.since)
+    createdSince = `t.created_xid >= $${taskParams.length}::xid8`
+  } else {
+    taskConditions.push('t.deleted_at IS NULL')
+  }
+
+  taskParams.push(limit + 1)
+
+  const tasks = await db.query(
+    `SELECT t.*,
+            t.change_xid::text as change_xid,
+            ${createdSince} as is_new,
+            COALESCE((
+              SELECT json_agg(json_build_object('id', l.id, 'name', l.name, 'color', l.color) ORDER BY lower(l.name))
+              FROM task_labels tl JOIN team_labels l ON l.id = tl.label_id
+              WHERE tl.task_id = t.id
+            ), '[]') as labels
+     FROM tasks t
+     WHERE ${taskConditions.join(' AND ')}
+     ORDER BY t.change_xid ASC, t.id ASC
+     LIMIT $${taskParams.length}`,
+    taskParams
+  )
+
+  // A first pull has nothing to delete
+  let tombstones = { rows: [] }
+
+  if (cursor.since) {
+    const params = []
+    const conditions = [
+      buildTaskAccessCondition(userId, params),
+      ...windowConditions(cursor, 't.change_xid', 't.task_id', params)
+    ]
+    params.push(limit + 1)
+
+    tombstones = await db.query(
+      `SELECT t.task_id as id, t.deleted_at, t.change_xid::text as change_xid
+       FROM task_tombstones t
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY t.change_xid ASC, t.task_id ASC
+       LIMIT $${params.length}`,
+      params
+    )
+  }
+
+  const changes = [
+    ...tasks.rows.map(row => (row.deleted_at
+      ? { id: row.id, deleted_at: row.deleted_at, change_xid: row.change_xid, kind: 'deleted' }
+      : { ...row, kind: row.is_new ? 'created' : 'updated' })),
+    ...tombstones.rows.map(row => ({ ...row, kind: 'deleted' }))
+  ].sort(compareChanges)
+
+  const hasMore = changes.length > limit
+  const page = changes.slice(0, limit)
+  const last = page[page.length - 1]
+  const next = hasMore
+    ? { since: cursor.since, xmin, after: [last.change_xid, last.id] }
+    : { since: xmin, xmin: null, after: null }
+
+  const result = { created: [], updated: [], deleted: [], cursor: encodeCursor(next), has_more: hasMore }
+
+  page.forEach(({ kind, change_xid, created_xid, is_new, ...change }) => {
+    result[kind].push(change)
+  })
+
+  return result
+}
+
+// Whether a task id belonged to a task that has since been deleted or is in the trash
+export const isTaskDeleted = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT 1 FROM task_tombstones WHERE task_id = $1
+     UNION ALL
+     SELECT 1 FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL`,
+    [taskId]
+  )
+  return result.rows.length > 0
+}
@@ -0,0 +1,129 @@
+import { validateCustomFields } from '../lib/customFields.js'
+import { recordTaskReferences } from './references.js'
+import { recordTaskChanges } from './taskActivity.js'
+import { createsParentCycle, getOpenBlockers } from './taskGraph.js'
+import { getTaskLabels, getTeamFields, setTaskLabels, validateLabelIds } from './taskLabels.js'
+import { validatePlanning } from './taskPlanning.js'
+import { generateNextInstance } from './taskRecurrence.js'
+import { getTeamRole } from './teamAccess.js'
+
+// Apply changes to a task row the caller has already locked in its transaction.
+// Returns { denial } when a rule rejects the change, otherwise the updated row, the
+// row as it was, the activity it logged and, for completed recurring tasks, the next instance.
+// Passing expectedVersion rejects the write if someone else changed the task first.
+export const applyTaskUpdate = async (client, task, changes, userId, { expectedVersion = null } = {}) => {
+  if (expectedVersion !== null && expectedVersion !== task.version) {
+    return { denial: { status: 409, error: 'Task has been modified by someone else', current: task } }
+  }
+
+  const {
+    title, description, status, priority, assigned_to, parent_id, due_date, reminder_offsets, position,
+    labels, custom_fields, sprint_id, milestone_id, story_points
+  } = changes
+  const changesParent = parent_id !== undefined
+  const changesDueDate = due_date !== undefined
+
+  if (assigned_to && task.team_id && !(await getTeamRole(task.team_id, assigned_to, client))) {
+    return { denial: { status: 400, error: 'Assignee must be a member of the team' } }
+  }
+
+  if (changesParent && parent_id) {
+    const parent = await client.query('SELECT team_id FROM tasks WHERE id = $1 AND deleted_at IS NULL', [parent_id])
+
+    if (parent.rows.length === 0 || parent.rows[0].team_id !== task.team_id) {
+      return { denial: { status: 400, error: 'Parent task must exist in the same team' } }
+    }
+
+    if (await createsParentCycle(client, task.id, parent_id)) {
+      return { denial: { status: 400, error: 'A task cannot be nested under itself or one of its subtasks' } }
+    }
+  }
+
+  const planningError = await validatePlanning(client, task.team_id, { sprint_id, milestone_id, story_points })
+
+  if (planningError) {
+    return { denial: { status: 400, error: planningError } }
+  }
+
+  if (labels !== undefined) {
+    const labelError = await validateLabelIds(client, task.team_id, labels)
+
+    if (labelError) {
+      return { denial: { status: 400, error: labelError } }
+    }
+  }
+
+  let customFields = null
+
+  if (custom_fields !== undefined) {
+    const definitions = task.team_id ? await getTeamFields(client, task.team_id) : []
+    const { values, error } = validateCustomFields(definitions, custom_fields, task.custom_fields)
+
+    if (error) {
+      return { denial: { status: 400, error } }
+    }
+    customFields = values
+  }
+
+  const completes = status === 'done' && task.status !== 'done'
+
+  if (completes) {
+    const blockers = await getOpenBlockers(client, task.id)
+
+    if (blockers.length > 0) {
+      return { denial: { status: 409, error: 'Task is blocked by open tasks', blockers } }
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE tasks
+     SET title = COALESCE($1, title),
+         description = COALESCE($2, description),
+         status = COALESCE($3, status),
+         priority = COALESCE($4, priority),
+         assigned_to = COALESCE($5, assigned_to),
+         parent_id = CASE WHEN $7 THEN $8::uuid ELSE parent_id END,
+         due_date = CASE WHEN $9 THEN $10::timestamp ELSE due_date END,
+         reminder_offsets = COALESCE($11, reminder_offsets),
+         position = COALESCE($12, position),
+         custom_fields = COALESCE($13, custom_fields),
+         sprint_id = CASE WHEN $14 THEN $15::uuid ELSE sprint_id END,
+         milestone_id = CASE WHEN $16 THEN $17::uuid ELSE milestone_id END,
+         story_points = CASE WHEN $18 THEN $19::integer ELSE story_points END,
+         version = version + 1,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $6
+     RETURNING *`,
+    [
+      title, description, status, priority, assigned_to, task.id,
+      changesParent, parent_id || null,
+      changesDueDate, due_date || null,
+      reminder_offsets,
+      position,
+      customFields,
+      sprint_id !== undefined, sprint_id || null,
+      milestone_id !== undefined, milestone_id || null,
+      story_points !== undefined, story_points ?? null
+    ]
+  )
+
+  const activity = await recordTaskChanges(client, task, result.rows[0], userId)
+
+  if (result.rows[0].description !== task.description) {
+    await recordTaskReferences(client, result.rows[0], userId)
+  }
+
+  if (labels !== undefined) {
+    const entry = await setTaskLabels(client, task.id, labels, userId)
+    if (entry) activity.push(entry)
+  }
+
+  const updated = { ...result.rows[0], labels: await getTaskLabels(client, task.id) }
+
+  // Completing an instance of a recurring task schedules the next one right away
+  const nextInstance = completes && task.series_id
+    ? await generateNextInstance(client, task.series_id)
+    : null
+
+  return { task: updated, before: task, activity, nextInstance }
+}
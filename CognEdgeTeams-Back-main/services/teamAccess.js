@@ -0,0 +1,34 @@
+import pool from '../db/database.js'
+
+// Roles a team member may hold, from most to least access
+export const TEAM_ROLES = ['admin', 'member', 'viewer']
+
+// Role the user holds in a team, or null when they are not a member.
+// Team creators are treated as admins even without a team_members row.
+export const getTeamRole = async (teamId, userId, db = pool) => {
+  const result = await db.query(
+    `SELECT tm.role
+     FROM team_members tm
+     WHERE tm.team_id = $1 AND tm.user_id = $2
+     UNION ALL
+     SELECT 'admin'
+     FROM teams t
+     WHERE t.id = $1 AND t.created_by = $2
+     LIMIT 1`,
+    [teamId, userId]
+  )
+
+  return result.rows[0]?.role || null
+}
+
+// SQL condition limiting rows to teams the user belongs to, appending values to params
+export const buildTeamMembershipCondition = (column, userId, params) => {
+  params.push(userId)
+  const placeholder = `$${params.length}`
+
+  return `${column} IN (
+    SELECT team_id FROM team_members WHERE user_id = ${placeholder}
+    UNION
+    SELECT id FROM teams WHERE created_by = ${placeholder}
+  )`
+}
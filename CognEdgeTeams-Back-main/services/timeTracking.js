@@ -0,0 +1,166 @@
+// Timers and manual time entries logged against tasks
+
+// Seconds an entry covers; running timers count up to now
+const ELAPSED = `extract(epoch from COALESCE(e.ended_at, CURRENT_TIMESTAMP) - e.started_at)::integer`
+
+// Stop the user's running timer wherever it is. Returns the stopped entry or null.
+export const stopRunningTimer = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE task_time_entries
+     SET ended_at = GREATEST(CURRENT_TIMESTAMP, started_at), updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND ended_at IS NULL
+     RETURNING *`,
+    [userId]
+  )
+
+  return result.rows[0] || null
+}
+
+// Start a timer on a task, stopping any timer the user has running elsewhere.
+// Starting the task that is already being timed keeps the current timer.
+export const startTimer = async (db, taskId, userId, note = null) => {
+  const running = await db.query(
+    'SELECT * FROM task_time_entries WHERE user_id = $1 AND ended_at IS NULL FOR UPDATE',
+    [userId]
+  )
+
+  if (running.rows[0]?.task_id === taskId) {
+    return { entry: running.rows[0], stopped: null, alreadyRunning: true }
+  }
+
+  const stopped = running.rows[0] ? await stopRunningTimer(db, userId) : null
+
+  const result = await db.query(
+    `INSERT INTO task_time_entries (task_id, user_id, started_at, note, source)
+     VALUES ($1, $2, CURRENT_TIMESTAMP, $3, 'timer')
+     RETURNING *`,
+    [taskId, userId, note]
+  )
+
+  return { entry: result.rows[0], stopped, alreadyRunning: false }
+}
+
+// Stop the user's timer on a specific task. Returns the entry or null when none is running.
+export const stopTimer = async (db, taskId, userId) => {
+  const result = await db.query(
+    `UPDATE task_time_entries
+     SET ended_at = GREATEST(CURRENT_TIMESTAMP, started_at), updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND task_id = $2 AND ended_at IS NULL
+     RETURNING *`,
+    [userId, taskId]
+  )
+
+  return result.rows[0] || null
+}
+
+export const addManualEntry = async (db, taskId, userId, { startedAt, endedAt, note }) => {
+  const result = await db.query(
+    `INSERT INTO task_time_entries (task_id, user_id, started_at, ended_at, note, source)
+     VALUES ($1, $2, $3, $4, $5, 'manual')
+     RETURNING *`,
+    [taskId, userId, startedAt, endedAt, note]
+  )
+
+  return result.rows[0]
+}
+
+// Totals for one task overall and per user, plus its entries newest first
+export const getTaskTime = async (db, taskId) => {
+  const entries = await db.query(
+    `SELECT e.*, ${ELAPSED} as elapsed_seconds,
+            u.email as user_email,
+            u.raw_user_meta_data->>'full_name' as user_name
+     FROM task_time_entries e
+     LEFT JOIN auth.users u ON e.user_id = u.id
+     WHERE e.task_id = $1
+     ORDER BY e.started_at DESC`,
+    [taskId]
+  )
+
+  const byUser = new Map()
+
+  for (const entry of entries.rows) {
+    if (!byUser.has(entry.user_id)) {
+      byUser.set(entry.user_id, {
+        user_id: entry.user_id,
+        user_email: entry.user_email,
+        user_name: entry.user_name,
+        total_seconds: 0
+      })
+    }
+    byUser.get(entry.user_id).total_seconds += entry.elapsed_seconds
+  }
+
+  return {
+    task_id: taskId,
+    total_seconds: entries.rows.reduce((sum, entry) => sum + entry.elapsed_seconds, 0),
+    running: entries.rows.filter(entry => !entry.ended_at),
+    by_user: [...byUser.values()].sort((a, b) => b.total_seconds - a.total_seconds),
+    entries: entries.rows
+  }
+}
+
+// Time per user, team and day between two dates (inclusive). Entries count on
+// the day they started. Callers see their own time plus everyone's time in teams they administer.
+export const getTimesheet = async (db, viewerId, { userId, teamId, from, to }) => {
+  const params = [viewerId, from, to]
+  const conditions = [
+    `(e.user_id = $1 OR t.team_id IN (
+       SELECT team_id FROM team_members WHERE user_id = $1 AND role = 'admin'
+       UNION
+       SELECT id FROM teams WHERE created_by = $1
+     ))`,
+    'e.started_at >= $2::date',
+    `e.started_at < $3::date + interval '1 day'`,
+    't.deleted_at IS NULL'
+  ]
+
+  if (userId) {
+    params.push(userId)
+    conditions.push(`e.user_id = $${params.length}`)
+  }
+
+  if (teamId) {
+    params.push(teamId)
+    conditions.push(`t.team_id = $${params.length}`)
+  }
+
+  const result = await db.query(
+    `SELECT e.user_id,
+            u.email as user_email,
+            u.raw_user_meta_data->>'full_name' as user_name,
+            t.team_id,
+            team.name as team_name,
+            to_char(e.started_at, 'YYYY-MM-DD') as date,
+            sum(${ELAPSED})::integer as seconds
+     FROM task_time_entries e
+     JOIN tasks t ON t.id = e.task_id
+     LEFT JOIN teams team ON team.id = t.team_id
+     LEFT JOIN auth.users u ON u.id = e.user_id
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY e.user_id, u.email, u.raw_user_meta_data->>'full_name', t.team_id, team.name, to_char(e.started_at, 'YYYY-MM-DD')
+     ORDER BY date ASC, user_email ASC, team_name ASC`,
+    params
+  )
+
+  const totals = (key, pick) => {
+    const groups = new Map()
+
+    for (const row of result.rows) {
+      const id = row[key]
+      if (!groups.has(id)) groups.set(id, { ...pick(row), total_seconds: 0 })
+      groups.get(id).total_seconds += row.seconds
+    }
+    return [...groups.values()]
+  }
+
+  return {
+    from,
+    to,
+    total_seconds: result.rows.reduce((sum, row) => sum + row.seconds, 0),
+    rows: result.rows,
+    by_user: totals('user_id', row => ({ user_id: row.user_id, user_email: row.user_email, user_name: row.user_name })),
+    by_team: totals('team_id', row => ({ team_id: row.team_id, team_name: row.team_name })),
+    by_day: totals('date', row => ({ date: row.date }))
+  }
+}
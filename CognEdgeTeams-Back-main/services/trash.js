@@ -0,0 +1,262 @@
+import pool, { withTransaction } from '../db/database.js'
+import { deleteReferences } from './references.js'
+import { buildTaskAccessCondition } from './taskAccess.js'
+import {
+  buildDocumentAccessCondition,
+  buildDocumentRoleExpression,
+  buildFolderAccessCondition,
+  buildFolderRoleExpression,
+  buildTeamShareCondition
+} from './documentAccess.js'
+import { restoreFolderPath } from './documentFolders.js'
+
+// Trashed items older than this are purged for good
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30
+
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000
+
+// The tasks in $1 and all their subtasks, at any depth
+const TASK_SUBTREE = `WITH RECURSIVE subtree AS (
+    SELECT id FROM tasks WHERE id = ANY($1::uuid[])
+    UNION
+    SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id
+  )`
+
+// Move tasks and their subtasks to the trash. Everything trashed together shares a
+// deleted_at, which is how restoring brings the subtasks back. Returns the trashed rows.
+export const trashTasks = async (client, taskIds, userId) => {
+  const result = await client.query(
+    `${TASK_SUBTREE}
+     UPDATE tasks
+     SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1
+     WHERE id IN (SELECT id FROM subtree) AND deleted_at IS NULL
+     RETURNING *`,
+    [taskIds, userId]
+  )
+
+  return result.rows
+}
+
+// Bring a trashed task back with the subtasks trashed along with it. Syncing clients dropped
+// them when they were trashed, so they are reported to them as newly created.
+// Returns { task, subtasks } or { denial }.
+export const restoreTask = async (client, task) => {
+  if (task.parent_id) {
+    const parent = await client.query('SELECT deleted_at FROM tasks WHERE id = $1', [task.parent_id])
+
+    if (parent.rows[0]?.deleted_at) {
+      return { denial: { status: 409, error: 'Restore the parent task first' } }
+    }
+  }
+
+  const result = await client.query(
+    `${TASK_SUBTREE}
+     UPDATE tasks
+     SET deleted_at = NULL, deleted_by = NULL, version = version + 1, created_xid = pg_current_xact_id()
+     WHERE id IN (SELECT id FROM subtree)
+       AND deleted_at = (SELECT deleted_at FROM tasks WHERE id = $2)
+     RETURNING *`,
+    [[task.id], task.id]
+  )
+
+  return {
+    task: result.rows.find(row => row.id === task.id),
+    subtasks: result.rows.filter(row => row.id !== task.id)
+  }
+}
+
+// Ids of the tasks in the list and all their subtasks, which deleting them cascades to
+const taskSubtreeIds = async (db, taskIds) => {
+  const result = await db.query(`${TASK_SUBTREE} SELECT id FROM subtree`, [taskIds])
+  return result.rows.map(row => row.id)
+}
+
+// Delete a trashed task for good, with its subtasks. Returns whether it was in the trash.
+export const purgeTask = async (client, taskId) => {
+  const subtree = await taskSubtreeIds(client, [taskId])
+  const result = await client.query('DELETE FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id', [taskId])
+
+  if (result.rows.length === 0) return false
+
+  await deleteReferences(client, 'task', subtree)
+  return true
+}
+
+// Move a document to the trash; returns it, or null when it already was
+export const trashDocument = async (client, documentId, userId) => {
+  const result = await client.query(
+    `UPDATE documents
+     SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [documentId, userId]
+  )
+
+  return result.rows[0] || null
+}
+
+// Take a document out of the trash, bringing back the folders it was trashed with so it
+// returns to its place; returns it, or null when it was not trashed
+export const restoreDocument = async (client, documentId) => {
+  const result = await client.query(
+    `UPDATE documents
+     SET deleted_at = NULL, deleted_by = NULL
+     WHERE id = $1 AND deleted_at IS NOT NULL
+     RETURNING *`,
+    [documentId]
+  )
+
+  if (result.rows[0]) await restoreFolderPath(client, result.rows[0].folder_id)
+
+  return result.rows[0] || null
+}
+
+// Delete a trashed document for good. Returns whether it was in the trash.
+export const purgeDocument = async (client, documentId) => {
+  const result = await client.query('DELETE FROM documents WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id', [documentId])
+  await deleteReferences(client, 'document', result.rows.map(row => row.id))
+  return result.rows.length > 0
+}
+
+// Trashed tasks the user can see, most recently deleted first, optionally of one team.
+// Subtasks trashed along with their parent are left out; they come back with it.
+export const listTrashedTasks = async (db, userId, { teamId = null } = {}) => {
+  const params = []
+  const conditions = [
+    buildTaskAccessCondition(userId, params),
+    't.deleted_at IS NOT NULL',
+    'NOT EXISTS (SELECT 1 FROM tasks p WHERE p.id = t.parent_id AND p.deleted_at = t.deleted_at)'
+  ]
+
+  if (teamId) {
+    params.push(teamId)
+    conditions.push(`t.team_id = $${params.length}`)
+  }
+
+  params.push(TRASH_RETENTION_DAYS)
+
+  const result = await db.query(
+    `SELECT t.*,
+            deleter.email as deleted_by_email,
+            deleter.raw_user_meta_data->>'full_name' as deleted_by_name,
+            t.deleted_at + make_interval(days => $${params.length}) as purge_at
+     FROM tasks t
+     LEFT JOIN auth.users deleter ON deleter.id = t.deleted_by
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY t.deleted_at DESC`,
+    params
+  )
+
+  return result.rows
+}
+
+// Trashed documents the user can read, most recently deleted first: those shared with a team,
+// or without one, those the user owns
+export const listTrashedDocuments = async (db, userId, { teamId = null } = {}) => {
+  const params = []
+  const conditions = ['d.deleted_at IS NOT NULL', buildDocumentAccessCondition(userId, params)]
+  const role = buildDocumentRoleExpression(userId, params)
+
+  if (teamId) {
+    conditions.push(buildTeamShareCondition(teamId, params))
+  } else {
+    conditions.push(`${role} = 'owner'`)
+  }
+
+  params.push(TRASH_RETENTION_DAYS)
+
+  const result = await db.query(
+    `SELECT d.id, d.title, d.user_id, d.folder_id, d.version, d.created_at, d.updated_at, d.deleted_at, d.deleted_by,
+            deleter.email as deleted_by_email,
+            deleter.raw_user_meta_data->>'full_name' as deleted_by_name,
+            ${role} as role,
+            d.deleted_at + make_interval(days => $${params.length}) as purge_at
+     FROM documents d
+     LEFT JOIN auth.users deleter ON deleter.id = d.deleted_by
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY d.deleted_at DESC`,
+    params
+  )
+
+  return result.rows
+}
+
+// Trashed folders the user owns, most recently deleted first. Subfolders trashed along with
+// their parent are left out; they come back with it.
+export const listTrashedFolders = async (db, userId) => {
+  const params = []
+  const access = buildFolderAccessCondition(userId, params)
+  const role = buildFolderRoleExpression(userId, params)
+  params.push(TRASH_RETENTION_DAYS)
+
+  const result = await db.query(
+    `SELECT f.*,
+            deleter.email as deleted_by_email,
+            deleter.raw_user_meta_data->>'full_name' as deleted_by_name,
+            f.deleted_at + make_interval(days => $${params.length}) as purge_at
+     FROM document_folders f
+     LEFT JOIN auth.users deleter ON deleter.id = f.deleted_by
+     WHERE f.deleted_at IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM document_folders p WHERE p.id = f.parent_id AND p.deleted_at = f.deleted_at)
+       AND ${access} AND ${role} = 'owner'
+     ORDER BY f.deleted_at DESC`,
+    params
+  )
+
+  return result.rows
+}
+
+// Purge everything trashed more than the retention period ago, with the references from and to it
+export const purgeExpiredTrash = (days = TRASH_RETENTION_DAYS) => withTransaction(async (client) => {
+  const expired = await client.query(
+    'SELECT id FROM tasks WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [days]
+  )
+  const taskIds = expired.rows.map(row => row.id)
+  const subtree = await taskSubtreeIds(client, taskIds)
+
+  const tasks = await client.query('DELETE FROM tasks WHERE id = ANY($1::uuid[]) RETURNING id', [taskIds])
+  const documents = await client.query(
+    'DELETE FROM documents WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1) RETURNING id',
+    [days]
+  )
+
+  // Folders go after their documents: a trashed folder only holds documents trashed no later than it was
+  const folders = await client.query(
+    'DELETE FROM document_folders WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1) RETURNING id',
+    [days]
+  )
+
+  await deleteReferences(client, 'task', subtree)
+  await deleteReferences(client, 'document', documents.rows.map(row => row.id))
+
+  return { tasks: tasks.rows.length, documents: documents.rows.length, folders: folders.rows.length }
+})
+
+// Purge expired trash on start and then every TRASH_PURGE_INTERVAL_MS, an hour by default
+export const startTrashPurge = () => {
+  if (!pool) return null
+
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+
+    try {
+      const purged = await purgeExpiredTrash()
+
+      if (purged.tasks > 0 || purged.documents > 0 || purged.folders > 0) {
+        console.log(`🗑️ Purged ${purged.tasks} tasks, ${purged.documents} documents and ${purged.folders} folders from the trash`)
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+
+  return setInterval(tick, PURGE_INTERVAL_MS)
+}